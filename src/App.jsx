@@ -1,43 +1,100 @@
-import { useEffect } from 'react'
-import { useCoinbasePrice } from './hooks/useCoinbasePrice'
+import { useEffect, useMemo } from 'react'
+import { usePrice } from './hooks/usePrice'
+import { useMarketParam } from './hooks/useMarketParam'
+import { useConversionRate } from './hooks/useConversionRate'
+import { useAlerts } from './hooks/useAlerts'
+import { usePortfolio } from './hooks/usePortfolio'
+import { useTickRecorder } from './hooks/useTickRecorder'
+import { useReplay } from './hooks/useReplay'
+import { PROVIDER_CONFIG, REPLAY_PROVIDER_CONFIG } from './config'
+import { getMarket } from './markets'
+import { convertTicker } from './utils/conversion'
+import { summarizePosition } from './utils/portfolio'
+import { formatCurrency } from './utils/formatters'
 import { PriceHeader } from './components/PriceHeader'
 import { Chart } from './components/Chart'
 import { OrderBook } from './components/OrderBook'
+import { TradeTape } from './components/TradeTape'
+import { LiquidityHeatmap } from './components/LiquidityHeatmap'
+import { AlertsPanel } from './components/AlertsPanel'
+import { PortfolioPanel } from './components/PortfolioPanel'
 import { NewsFeed } from './components/NewsFeed'
+import { FeedHealthPanel } from './components/FeedHealthPanel'
+import { ReplayBar } from './components/ReplayBar'
+import { RecordButton } from './components/RecordButton'
 
 /**
  * EthTicker - Main Application
  * 
  * Now powered by Coinbase - works in USA! 🇺🇸
  * 
- * Data sources:
- * - Price: Coinbase WebSocket (real-time)
+ * Any pair can be selected (ETH-USD by default); the choice lives
+ * in the ?symbol= URL param so links can be shared. Quotes Coinbase
+ * doesn't list are streamed in USD and converted at the live rate.
+ * 
+ * Data sources (defaults, see PROVIDER_CONFIG):
+ * - Price: Coinbase WebSocket (real-time), failing over to
+ *   Binance WebSocket, then CoinGecko REST
  * - Order Book: Coinbase WebSocket (real-time)
- * - Charts: CoinGecko (reliable, works everywhere)
+ * - Charts: CoinGecko history (reliable, works everywhere), kept live
+ *   with Coinbase trades
  * - News: CryptoCompare (works everywhere)
+ *
+ * The live Coinbase feed can be recorded to a file (RecordButton), and
+ * a loaded recording (ReplayBar) replaces every market-data source
+ * until it's exited. Each replay load or seek is a new session: the
+ * whole dashboard is remounted so every panel starts over from there.
  */
 function App() {
-  // Real-time price data from Coinbase WebSocket
-  const priceData = useCoinbasePrice()
+  const { session } = useReplay()
+  return <Dashboard key={session} />
+}
+
+// Replayed prices shouldn't fire real alerts
+const NO_TICKER = {}
+
+function Dashboard() {
+  const replay = useReplay()
+  const providers = replay.active ? REPLAY_PROVIDER_CONFIG : PROVIDER_CONFIG
+
+  // Selected market, synced with the URL
+  const [marketId, setMarketId] = useMarketParam()
+  const market = useMemo(() => getMarket(marketId), [marketId])
+
+  // USD -> quote rate for converted markets (1 for native pairs)
+  const { rate } = useConversionRate(market.feedQuote, market.quote)
+
+  // Real-time price data, failing over along the configured chain
+  const feedPriceData = usePrice(providers.price, market)
+  const priceData = useMemo(() => convertTicker(feedPriceData, rate), [feedPriceData, rate])
+
+  // Keep the live ticks in local history
+  useTickRecorder(market, feedPriceData, !replay.active)
+
+  // Price alerts, checked on every tick
+  const alerts = useAlerts(market, replay.active ? NO_TICKER : priceData)
+
+  // Position lots for the selected market; the average entry goes on the chart
+  const portfolio = usePortfolio(market)
+  const { averageEntry } = useMemo(() => summarizePosition(portfolio.lots, null, null), [portfolio.lots])
 
   // Update browser tab title with live price
   useEffect(() => {
     if (priceData.price) {
-      const formattedPrice = priceData.price.toLocaleString('en-US', {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      })
+      const formattedPrice = formatCurrency(priceData.price, market.quote, market.decimals)
       const arrow = priceData.priceChangePercent >= 0 ? '▲' : '▼'
-      document.title = `$${formattedPrice} ${arrow} ETH | EthTicker`
+      document.title = `${formattedPrice} ${arrow} ${market.base} | EthTicker`
     } else {
-      document.title = 'EthTicker - Live ETH Price'
+      document.title = `EthTicker - Live ${market.base} Price`
     }
-  }, [priceData.price, priceData.priceChangePercent])
+  }, [priceData.price, priceData.priceChangePercent, market])
   
   return (
     <div className="min-h-screen bg-ticker-bg">
       {/* Live price header */}
       <PriceHeader 
+        market={market}
+        onMarketChange={setMarketId}
         price={priceData.price}
         prevPrice={priceData.prevPrice}
         priceChange={priceData.priceChange}
@@ -45,26 +102,98 @@ function App() {
         high24h={priceData.high24h}
         low24h={priceData.low24h}
         volume24h={priceData.volume24h}
+        quoteVolume24h={priceData.quoteVolume24h}
         status={priceData.status}
+        receivedAt={priceData.receivedAt}
+        source={priceData.source}
+        isFallback={priceData.isFallback}
       />
       
       {/* Main content area */}
       <main className="max-w-7xl mx-auto px-4 py-6">
+        {/* Session replay and recording */}
+        <div className="mb-4 flex items-center gap-3">
+          <div className="flex-1">
+            <ReplayBar replay={replay} market={market} onMarketChange={setMarketId} />
+          </div>
+          <RecordButton replaying={replay.active} />
+        </div>
+
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
           {/* Chart */}
           <div className="lg:col-span-3">
-            <Chart currentPrice={priceData.price} />
+            <Chart
+              market={market}
+              rate={rate}
+              currentPrice={feedPriceData.price}
+              provider={providers.candles}
+              intervalProvider={providers.intervalCandles}
+              tradesProvider={providers.trades}
+              alerts={alerts.alerts}
+              averageEntry={averageEntry}
+            />
           </div>
           
           {/* Order book */}
           <div className="h-[460px]">
-            <OrderBook />
+            <OrderBook
+              market={market}
+              rate={rate}
+              provider={providers.orderBook}
+              venues={providers.consolidatedBook}
+            />
+          </div>
+        </div>
+
+        {/* Liquidity heatmap */}
+        <div className="mt-4 h-[360px]">
+          <LiquidityHeatmap
+            market={market}
+            rate={rate}
+            provider={providers.orderBook}
+            lastPrice={feedPriceData.price}
+          />
+        </div>
+        
+        <div className="mt-4 grid grid-cols-1 lg:grid-cols-4 gap-4">
+          {/* Portfolio */}
+          <div className="lg:col-span-2 h-[460px]">
+            <PortfolioPanel
+              market={market}
+              price={priceData.price}
+              open24h={priceData.open24h}
+              portfolio={portfolio}
+            />
+          </div>
+
+          {/* Alerts */}
+          <div className="h-[460px]">
+            <AlertsPanel
+              market={market}
+              price={priceData.price}
+              alerts={alerts.alerts}
+              onAdd={alerts.addAlert}
+              onRemove={alerts.removeAlert}
+              onRearm={alerts.rearmAlert}
+              permission={alerts.permission}
+              onRequestPermission={alerts.requestPermission}
+            />
+          </div>
+
+          {/* Trade tape */}
+          <div className="h-[460px]">
+            <TradeTape market={market} rate={rate} provider={providers.trades} />
           </div>
         </div>
         
         {/* News Feed */}
         <div className="mt-4">
-          <NewsFeed />
+          <NewsFeed currency={market.base} />
+        </div>
+
+        {/* Feed diagnostics */}
+        <div className="mt-4">
+          <FeedHealthPanel />
         </div>
       </main>
       
@@ -0,0 +1,37 @@
+/**
+ * Price alert catalog
+ * 
+ * An alert is { id, marketId, type, value, minutes?, createdAt,
+ * triggeredAt, message } - one-shot: once it fires it stays triggered
+ * until re-armed. Levels are in the market's display quote.
+ * 
+ * Types (checked in utils/alerts.js):
+ * - above / below: price crosses a level
+ * - move: price moves value% (either way) within `minutes`
+ * - spread: bid/ask spread wider than value% of mid
+ * - high / low: price breaks the 24h high / low
+ */
+
+export const ALERT_TYPES = {
+  above: { label: 'Price above', unit: 'price', line: true },
+  below: { label: 'Price below', unit: 'price', line: true },
+  move: { label: 'Moves by', unit: 'percent', minutes: true },
+  spread: { label: 'Spread over', unit: 'percent' },
+  high: { label: 'Breaks 24h high', unit: null },
+  low: { label: 'Breaks 24h low', unit: null },
+}
+
+let nextId = 1
+
+export function createAlert(marketId, type, value = null, minutes = null) {
+  return {
+    id: `${Date.now().toString(36)}-${nextId++}`,
+    marketId,
+    type,
+    value,
+    minutes: ALERT_TYPES[type].minutes ? minutes : null,
+    createdAt: Date.now(),
+    triggeredAt: null,
+    message: null,
+  }
+}
@@ -0,0 +1,150 @@
+import { useState } from 'react'
+import { ALERT_TYPES } from '../alerts'
+import { formatRelativeTime } from '../hooks/useNews'
+import { formatPrice } from '../utils/formatters'
+
+/**
+ * AlertsPanel - Create and manage price alerts for the selected market
+ *
+ * Price-level alerts also show as dashed lines on the chart. Triggered
+ * alerts stay in the list (with what happened) until re-armed or removed.
+ */
+
+const DEFAULT_MINUTES = 5
+
+export function AlertsPanel({ market, price, alerts, onAdd, onRemove, onRearm, permission, onRequestPermission }) {
+  const [type, setType] = useState('above')
+  const [value, setValue] = useState('')
+  const [minutes, setMinutes] = useState(DEFAULT_MINUTES)
+
+  const definition = ALERT_TYPES[type]
+  const parsed = parseFloat(value)
+  const canAdd = !definition.unit || parsed > 0
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!canAdd) return
+    onAdd(type, definition.unit ? parsed : null, definition.minutes ? minutes : null)
+    setValue('')
+  }
+
+  const armed = alerts.filter(alert => !alert.triggeredAt).length
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
+      {/* Header */}
+      <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <h3 className="text-sm font-medium text-ticker-text">Alerts</h3>
+          <span className="text-xs text-ticker-muted">• {market.id}</span>
+        </div>
+        {permission === 'granted' ? (
+          <span className="text-xs text-ticker-muted">{armed} armed</span>
+        ) : permission === 'unsupported' ? (
+          <span className="text-xs text-ticker-muted">Sound only</span>
+        ) : (
+          <button
+            onClick={onRequestPermission}
+            className="text-xs text-yellow-500 hover:text-yellow-400"
+            title={permission === 'denied' ? 'Notifications are blocked in the browser settings' : undefined}
+          >
+            {permission === 'denied' ? 'Notifications blocked' : 'Enable notifications'}
+          </button>
+        )}
+      </div>
+
+      {/* New alert */}
+      <form onSubmit={handleSubmit} className="px-3 py-2 border-b border-ticker-border flex flex-wrap items-center gap-1 text-xs">
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text focus:outline-none"
+        >
+          {Object.entries(ALERT_TYPES).map(([id, t]) => (
+            <option key={id} value={id}>{t.label}</option>
+          ))}
+        </select>
+        {definition.unit && (
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={definition.unit === 'price' ? formatPrice(price, market.decimals, market.quote) : '%'}
+            className="w-24 bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+          />
+        )}
+        {definition.minutes && (
+          <label className="flex items-center gap-1 text-ticker-muted">
+            in
+            <input
+              type="number"
+              min="1"
+              value={minutes}
+              onChange={(e) => setMinutes(Math.max(1, parseInt(e.target.value, 10) || 1))}
+              className="w-12 bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+            />
+            min
+          </label>
+        )}
+        <button
+          type="submit"
+          disabled={!canAdd}
+          className="ml-auto px-2 py-0.5 rounded bg-ticker-bg text-ticker-text hover:text-white disabled:text-ticker-muted disabled:cursor-not-allowed"
+        >
+          Add
+        </button>
+      </form>
+
+      {/* Alert list */}
+      <div className="flex-1 overflow-y-auto">
+        {alerts.length === 0 ? (
+          <div className="py-8 text-center text-ticker-muted text-xs">No alerts for {market.id}</div>
+        ) : (
+          alerts.map(alert => (
+            <AlertRow
+              key={alert.id}
+              alert={alert}
+              market={market}
+              onRemove={() => onRemove(alert.id)}
+              onRearm={() => onRearm(alert.id)}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
+
+function AlertRow({ alert, market, onRemove, onRearm }) {
+  const definition = ALERT_TYPES[alert.type]
+  const triggered = Boolean(alert.triggeredAt)
+
+  let condition = definition.label
+  if (definition.unit === 'price') condition += ` ${formatPrice(alert.value, market.decimals, market.quote)}`
+  if (definition.unit === 'percent') condition += ` ${alert.value}%`
+  if (definition.minutes) condition += ` in ${alert.minutes}m`
+
+  return (
+    <div className={`px-3 py-1.5 border-b border-ticker-border text-xs flex items-start gap-2 ${triggered ? 'bg-yellow-500/5' : ''}`}>
+      <span className={`mt-0.5 ${triggered ? 'text-yellow-500' : 'text-ticker-green'}`}>{triggered ? '●' : '○'}</span>
+      <div className="flex-1 min-w-0">
+        <div className="text-ticker-text">{condition}</div>
+        {triggered && (
+          <div className="text-ticker-muted truncate" title={alert.message}>
+            {alert.message} • {formatRelativeTime(new Date(alert.triggeredAt))}
+          </div>
+        )}
+      </div>
+      {triggered && (
+        <button onClick={onRearm} className="text-ticker-muted hover:text-ticker-text" title="Re-arm">
+          ↻
+        </button>
+      )}
+      <button onClick={onRemove} className="text-ticker-muted hover:text-ticker-red" title="Remove">
+        ×
+      </button>
+    </div>
+  )
+}
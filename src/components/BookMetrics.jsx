@@ -0,0 +1,130 @@
+import { useMetricHistory } from '../hooks/useMetricHistory'
+import { IMBALANCE_BANDS } from '../utils/orderBook'
+import { formatCurrency, formatPrice } from '../utils/formatters'
+
+/**
+ * BookMetrics - Order book microstructure strip for the book header
+ *
+ * Imbalance per band, microprice, weighted mid and depth per side
+ * (see bookMetrics), each with a sparkline of the last few minutes.
+ * History is kept in feed currency and scaled at render, so a moving
+ * conversion rate doesn't reshape it.
+ */
+
+// One sample a second, five minutes of history
+const SAMPLE_INTERVAL = 1000
+const HISTORY_LENGTH = 300
+
+const COLORS = {
+  bid: '#00c853',
+  ask: '#ff1744',
+  neutral: '#8a8a93',
+  zero: '#2a2a32',
+}
+
+const DEPTH_BAND = IMBALANCE_BANDS[IMBALANCE_BANDS.length - 1]
+
+export function BookMetrics({ metrics, market, rate = 1 }) {
+  const history = useMetricHistory(metrics, {
+    interval: SAMPLE_INTERVAL,
+    length: HISTORY_LENGTH,
+    resetKey: market.id,
+  })
+
+  const series = pick => history.map(sample => pick(sample.value))
+  const price = value => (metrics && rate !== null ? formatPrice(value * rate, market.decimals, market.quote) : '—')
+  const notional = value => (metrics && rate !== null ? formatCurrency(value * rate, market.quote, market.notionalDecimals) : '—')
+
+  return (
+    <div className="px-3 py-1.5 border-b border-ticker-border grid grid-cols-6 gap-x-3 gap-y-1 text-[10px]">
+      {IMBALANCE_BANDS.map((band, i) => {
+        const value = metrics?.imbalance[i]
+        return (
+          <Metric
+            key={band}
+            className="col-span-2"
+            label={`Imb ±${band}%`}
+            title={`Bid vs ask size within ${band}% of mid (+100% = all bids)`}
+            value={metrics ? `${value > 0 ? '+' : ''}${(value * 100).toFixed(0)}%` : '—'}
+            valueClassName={!metrics || value === 0 ? 'text-ticker-text' : value > 0 ? 'text-ticker-green' : 'text-ticker-red'}
+            points={series(m => m.imbalance[i])}
+            domain={[-1, 1]}
+            color={value > 0 ? COLORS.bid : value < 0 ? COLORS.ask : COLORS.neutral}
+          />
+        )
+      })}
+      <Metric
+        className="col-span-3"
+        label="Microprice"
+        title="Mid leaned towards the thinner side of the touch"
+        value={price(metrics?.microprice)}
+        points={series(m => m.microprice)}
+        color={COLORS.neutral}
+      />
+      <Metric
+        className="col-span-3"
+        label="Weighted mid"
+        title="Mean of bid and ask VWAP near the touch"
+        value={price(metrics?.weightedMid)}
+        points={series(m => m.weightedMid)}
+        color={COLORS.neutral}
+      />
+      <Metric
+        className="col-span-3"
+        label={`Bid depth ±${DEPTH_BAND}%`}
+        title={`Bids within ${DEPTH_BAND}% of mid`}
+        value={notional(metrics?.bidDepth)}
+        valueClassName="text-ticker-green"
+        points={series(m => m.bidDepth)}
+        color={COLORS.bid}
+      />
+      <Metric
+        className="col-span-3"
+        label={`Ask depth ±${DEPTH_BAND}%`}
+        title={`Asks within ${DEPTH_BAND}% of mid`}
+        value={notional(metrics?.askDepth)}
+        valueClassName="text-ticker-red"
+        points={series(m => m.askDepth)}
+        color={COLORS.ask}
+      />
+    </div>
+  )
+}
+
+function Metric({ label, title, value, valueClassName = 'text-ticker-text', points, domain, color, className }) {
+  return (
+    <div className={`min-w-0 ${className}`} title={title}>
+      <div className="flex items-baseline justify-between gap-1">
+        <span className="text-ticker-muted truncate">{label}</span>
+        <span className={`font-mono ${valueClassName}`}>{value}</span>
+      </div>
+      <Sparkline points={points} domain={domain} color={color} />
+    </div>
+  )
+}
+
+/**
+ * Bare line over the sampled history. With a fixed domain that spans
+ * zero (imbalance) the zero line is drawn too.
+ */
+function Sparkline({ points, domain, color }) {
+  const width = 100
+  const height = 14
+
+  const [min, max] = domain || [Math.min(...points), Math.max(...points)]
+  const span = max - min || 1
+  const y = value => height - 1 - ((value - min) / span) * (height - 2)
+  const step = points.length > 1 ? width / (points.length - 1) : 0
+  const line = points.map((value, i) => `${(i * step).toFixed(2)},${y(value).toFixed(2)}`).join(' ')
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-3.5 block">
+      {domain && min < 0 && max > 0 && (
+        <line x1={0} x2={width} y1={y(0)} y2={y(0)} stroke={COLORS.zero} strokeWidth={1} vectorEffect="non-scaling-stroke" />
+      )}
+      {points.length > 1 && (
+        <polyline points={line} fill="none" stroke={color} strokeWidth={1} vectorEffect="non-scaling-stroke" />
+      )}
+    </svg>
+  )
+}
@@ -1,16 +1,35 @@
-import { useEffect, useRef, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import { createChart, CrosshairMode } from 'lightweight-charts'
 import { TimeframeSelector } from './TimeframeSelector'
+import { ChartTypeSelector } from './ChartTypeSelector'
+import { IndicatorMenu } from './IndicatorMenu'
+import { DrawingLayer, DrawingToolbar } from './DrawingLayer'
 import { useCandlesticks } from '../hooks/useCandlesticks'
-import { formatPrice, formatVolume } from '../utils/formatters'
+import { useLiveCandles } from '../hooks/useLiveCandles'
+import { useDrawings } from '../hooks/useDrawings'
+import { chartLayout, useIndicatorSeries } from '../hooks/useIndicatorSeries'
+import { formatCurrency, formatPrice, formatVolume } from '../utils/formatters'
+import { convertCandles } from '../utils/conversion'
+import { toHeikinAshi, toLinePoint } from '../utils/candles'
+import { AUTO_INTERVAL, fitInterval } from '../timeframes'
+import { INDICATORS, indicatorLabel } from '../indicators'
+import { ALERT_TYPES } from '../alerts'
 
 /**
  * Chart Component - TradingView Lightweight Charts integration
  * 
  * Features:
- * - Candlestick chart with proper OHLC data
- * - Volume histogram overlay
- * - Timeframe switching
+ * - Candlestick, Heikin-Ashi, OHLC bar, line and area modes
+ * - Volume histogram overlay (up/down colored)
+ * - Live bars built from streaming trades (see useLiveCandles);
+ *   currentPrice (feed quote, like the candles) only moves them while
+ *   the trade feed is down
+ * - Timeframe switching, with the candle interval picked separately
+ *   (auto = whatever the range-only provider gives us)
+ * - Indicators: overlays on the candles, oscillators in strips below
+ *   (see src/indicators.js), with values in the crosshair readout
+ * - Drawing tools (lines, rectangles, Fibonacci, notes), saved per market
+ * - Armed price-level alerts as dashed lines, portfolio average entry
  * - Crosshair with price/time display
  * - Auto-resize on container change
  * 
@@ -33,19 +52,126 @@ const CHART_COLORS = {
   wickDown: '#ff1744',
   volumeUp: 'rgba(0, 200, 83, 0.3)',
   volumeDown: 'rgba(255, 23, 68, 0.3)',
+  line: '#627EEA',
+  areaTop: 'rgba(98, 126, 234, 0.4)',
+  areaBottom: 'rgba(98, 126, 234, 0.0)',
+  alert: '#eab308',
+  entry: '#29b6f6',
 }
 
-export function Chart({ currentPrice }) {
+// Single-value series only carry { time, value }
+const LINE_TYPES = ['line', 'area']
+
+/**
+ * Create the main price series for a chart type
+ */
+function createMainSeries(chart, chartType, priceFormat) {
+  switch (chartType) {
+    case 'line':
+      return chart.addLineSeries({
+        color: CHART_COLORS.line,
+        lineWidth: 2,
+        priceFormat,
+      })
+    case 'area':
+      return chart.addAreaSeries({
+        lineColor: CHART_COLORS.line,
+        topColor: CHART_COLORS.areaTop,
+        bottomColor: CHART_COLORS.areaBottom,
+        lineWidth: 2,
+        priceFormat,
+      })
+    case 'bar':
+      return chart.addBarSeries({
+        upColor: CHART_COLORS.upColor,
+        downColor: CHART_COLORS.downColor,
+        thinBars: false,
+        priceFormat,
+      })
+    case 'candle':
+    case 'heikin':
+    default:
+      return chart.addCandlestickSeries({
+        priceFormat,
+        upColor: CHART_COLORS.upColor,
+        downColor: CHART_COLORS.downColor,
+        wickUpColor: CHART_COLORS.wickUp,
+        wickDownColor: CHART_COLORS.wickDown,
+        borderVisible: false,
+      })
+  }
+}
+
+/**
+ * Price scale format for a market's quote increment
+ */
+function toPriceFormat(decimals) {
+  return { type: 'price', precision: decimals, minMove: Math.pow(10, -decimals) }
+}
+
+/**
+ * Map raw candles to the data shape the main series expects
+ */
+function toSeriesData(candles, chartType) {
+  if (chartType === 'heikin') return toHeikinAshi(candles)
+  if (LINE_TYPES.includes(chartType)) return candles.map(toLinePoint)
+  return candles
+}
+
+/**
+ * Volume histogram point, colored by candle direction
+ */
+function toVolumePoint(candle) {
+  return {
+    time: candle.time,
+    value: candle.volume,
+    color: candle.close >= candle.open 
+      ? CHART_COLORS.volumeUp 
+      : CHART_COLORS.volumeDown,
+  }
+}
+
+export function Chart({ market, rate = 1, currentPrice, provider, intervalProvider, tradesProvider, alerts = [], averageEntry = null }) {
   const containerRef = useRef(null)
   const chartRef = useRef(null)
-  const candleSeriesRef = useRef(null)
+  const mainSeriesRef = useRef(null)
   const volumeSeriesRef = useRef(null)
+  // What the series currently show, to tell a live tick from a new data set
+  const renderedRef = useRef(null)
   
   const [timeframe, setTimeframe] = useState('30D')
-  const [chartType, setChartType] = useState('candle') // 'candle' or 'line'
+  const [interval, setCandleInterval] = useState(AUTO_INTERVAL)
+  const [chartType, setChartType] = useState('candle') // see CHART_TYPES
   const [crosshairData, setCrosshairData] = useState(null)
+  const [indicators, setIndicators] = useState([])
+  const [drawingTool, setDrawingTool] = useState(null)
+  const [drawings, setDrawings] = useDrawings(market.id)
+  // Mirrors mainSeriesRef for the drawing layer, which re-renders on swaps
+  const [mainSeries, setMainSeries] = useState(null)
   
-  const { candles, loading, error } = useCandlesticks(timeframe)
+  // Keep the chosen interval, but fall back to a coarser one while it
+  // doesn't fit the range
+  const activeInterval = fitInterval(timeframe, interval)
+  const isAuto = activeInterval === AUTO_INTERVAL
+
+  const { candles: history, loading, error } = useCandlesticks(
+    timeframe,
+    isAuto ? provider : intervalProvider,
+    market,
+    isAuto ? null : activeInterval,
+  )
+  const feedCandles = useLiveCandles(history, tradesProvider, market, currentPrice)
+
+  // Candles in the display quote (converted markets stream USD)
+  const candles = useMemo(() => convertCandles(feedCandles, rate), [feedCandles, rate])
+  const fittedCandlesRef = useRef(null)
+
+  // Main series data for the active chart type
+  const seriesData = useMemo(() => toSeriesData(candles, chartType), [candles, chartType])
+
+  const subPaneCount = indicators.filter(indicator => INDICATORS[indicator.type].pane === 'sub').length
+  const layout = chartLayout(subPaneCount)
+  const priceFormat = useMemo(() => toPriceFormat(market.decimals), [market.decimals])
 
   // Initialize chart
   useEffect(() => {
@@ -92,15 +218,6 @@ export function Chart({ currentPrice }) {
       },
     })
 
-    // Create candlestick series
-    const candleSeries = chart.addCandlestickSeries({
-      upColor: CHART_COLORS.upColor,
-      downColor: CHART_COLORS.downColor,
-      wickUpColor: CHART_COLORS.wickUp,
-      wickDownColor: CHART_COLORS.wickDown,
-      borderVisible: false,
-    })
-
     // Create volume series
     const volumeSeries = chart.addHistogramSeries({
       color: CHART_COLORS.volumeUp,
@@ -108,6 +225,10 @@ export function Chart({ currentPrice }) {
         type: 'volume',
       },
       priceScaleId: '', // Overlay on main pane
+    })
+
+    // Pin volume bars to the bottom of the pane, under the price series
+    volumeSeries.priceScale().applyOptions({
       scaleMargins: {
         top: 0.85,
         bottom: 0,
@@ -115,15 +236,25 @@ export function Chart({ currentPrice }) {
     })
 
     // Subscribe to crosshair move for tooltip data
+    // (main series is swapped on chart type change, so read it from the ref)
     chart.subscribeCrosshairMove(param => {
-      if (param.time) {
-        const candleData = param.seriesData.get(candleSeries)
+      const mainSeries = mainSeriesRef.current
+      if (param.time && mainSeries) {
+        const priceData = param.seriesData.get(mainSeries)
         const volumeData = param.seriesData.get(volumeSeries)
-        if (candleData) {
+        if (priceData) {
           setCrosshairData({
             time: param.time,
-            ...candleData,
+            ...priceData,
             volume: volumeData?.value,
+            indicators: [...indicatorSeriesRef.current.values()].map(({ indicator, lines }) => ({
+              indicator,
+              values: lines.map(({ key, line, series }) => ({
+                key,
+                color: line.type === 'histogram' ? null : line.color || indicator.color,
+                value: param.seriesData.get(series)?.value,
+              })),
+            })),
           })
         }
       } else {
@@ -132,7 +263,6 @@ export function Chart({ currentPrice }) {
     })
 
     chartRef.current = chart
-    candleSeriesRef.current = candleSeries
     volumeSeriesRef.current = volumeSeries
 
     // Handle resize
@@ -151,101 +281,187 @@ export function Chart({ currentPrice }) {
     return () => {
       window.removeEventListener('resize', handleResize)
       chart.remove()
+      chartRef.current = null
+      mainSeriesRef.current = null
     }
   }, [])
 
+  const indicatorSeriesRef = useIndicatorSeries(chartRef, indicators, candles, { history, rate, priceFormat })
+
+  // Grow the chart by a strip per sub-pane indicator, keeping the candle pane's size
+  useEffect(() => {
+    const chart = chartRef.current
+    if (!chart) return
+
+    chart.applyOptions({ height: layout.height })
+    chart.priceScale('right').applyOptions({ scaleMargins: layout.main })
+    volumeSeriesRef.current.priceScale().applyOptions({ scaleMargins: layout.volume })
+  }, [subPaneCount])
+
+  // Swap the main series when the chart type changes, keeping the visible range
+  useEffect(() => {
+    const chart = chartRef.current
+    if (!chart) return
+
+    const visibleRange = mainSeriesRef.current
+      ? chart.timeScale().getVisibleLogicalRange()
+      : null
+
+    if (mainSeriesRef.current) {
+      chart.removeSeries(mainSeriesRef.current)
+    }
+
+    const series = createMainSeries(chart, chartType, toPriceFormat(market.decimals))
+    series.setData(seriesData)
+    mainSeriesRef.current = series
+    setMainSeries(series)
+    renderedRef.current = { history, rate, length: candles.length }
+
+    if (visibleRange) {
+      chart.timeScale().setVisibleLogicalRange(visibleRange)
+    }
+    setCrosshairData(null)
+  }, [chartType])
+
+  // Armed price-level alerts as lines on the main series
+  useEffect(() => {
+    if (!mainSeries) return
+
+    const lines = alerts
+      .filter(alert => ALERT_TYPES[alert.type].line && !alert.triggeredAt)
+      .map(alert => mainSeries.createPriceLine({
+        price: alert.value,
+        color: CHART_COLORS.alert,
+        lineWidth: 1,
+        lineStyle: 2,
+        axisLabelVisible: true,
+        title: alert.type === 'above' ? '▲ alert' : '▼ alert',
+      }))
+
+    return () => {
+      // A swapped-out series is already gone, lines and all
+      if (mainSeriesRef.current === mainSeries) {
+        lines.forEach(line => mainSeries.removePriceLine(line))
+      }
+    }
+  }, [mainSeries, alerts])
+
+  // Average entry of the portfolio position
+  useEffect(() => {
+    if (!mainSeries || !averageEntry) return
+
+    const line = mainSeries.createPriceLine({
+      price: averageEntry,
+      color: CHART_COLORS.entry,
+      lineWidth: 1,
+      lineStyle: 0,
+      axisLabelVisible: true,
+      title: 'avg entry',
+    })
+
+    return () => {
+      if (mainSeriesRef.current === mainSeries) mainSeries.removePriceLine(line)
+    }
+  }, [mainSeries, averageEntry])
+
+  // Match price scale precision and number grouping to the selected market
+  useEffect(() => {
+    mainSeriesRef.current?.applyOptions({ priceFormat: toPriceFormat(market.decimals) })
+    chartRef.current?.applyOptions({
+      localization: {
+        priceFormatter: price => formatPrice(price, market.decimals, market.quote),
+      },
+    })
+  }, [market])
+
   // Update data when candles change
   useEffect(() => {
-    if (!candleSeriesRef.current || !volumeSeriesRef.current || !candles.length) return
+    if (!mainSeriesRef.current || !volumeSeriesRef.current || !candles.length) return
+
+    // Live tick: only the last bar moved, or one new bar opened
+    const rendered = renderedRef.current
+    const grown = rendered ? candles.length - rendered.length : -1
+    if (rendered && rendered.history === history && rendered.rate === rate && (grown === 0 || grown === 1)) {
+      const from = candles.length - 1 - grown
+      for (let i = from; i < candles.length; i++) {
+        mainSeriesRef.current.update(seriesData[i])
+        volumeSeriesRef.current.update(toVolumePoint(candles[i]))
+      }
+      renderedRef.current = { ...rendered, length: candles.length }
+      return
+    }
 
-    // Set candlestick data
-    candleSeriesRef.current.setData(candles)
+    // Set price data in the active chart type's shape
+    mainSeriesRef.current.setData(seriesData)
 
     // Set volume data with colors based on candle direction
-    const volumeData = candles.map(candle => ({
-      time: candle.time,
-      value: candle.volume,
-      color: candle.close >= candle.open 
-        ? CHART_COLORS.volumeUp 
-        : CHART_COLORS.volumeDown,
-    }))
-    volumeSeriesRef.current.setData(volumeData)
-
-    // Fit content to view
-    if (chartRef.current) {
+    volumeSeriesRef.current.setData(candles.map(toVolumePoint))
+    renderedRef.current = { history, rate, length: candles.length }
+
+    // Fit content to view on new data - not when only the conversion rate ticked
+    if (chartRef.current && fittedCandlesRef.current !== history) {
       chartRef.current.timeScale().fitContent()
+      fittedCandlesRef.current = history
     }
   }, [candles])
 
-  // Update last candle in real-time when currentPrice changes
-  useEffect(() => {
-    if (!candleSeriesRef.current || !candles.length || !currentPrice) return
-
-    const lastCandle = candles[candles.length - 1]
-    if (!lastCandle) return
-
-    // Update the last candle with current price
-    candleSeriesRef.current.update({
-      time: lastCandle.time,
-      open: lastCandle.open,
-      high: Math.max(lastCandle.high, currentPrice),
-      low: Math.min(lastCandle.low, currentPrice),
-      close: currentPrice,
-    })
-  }, [currentPrice, candles])
-
   return (
     <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden">
       {/* Chart header */}
       <div className="flex items-center justify-between px-4 py-3 border-b border-ticker-border">
         <div className="flex items-center gap-4">
-          <TimeframeSelector selected={timeframe} onChange={setTimeframe} />
+          <TimeframeSelector
+            selected={timeframe}
+            onChange={setTimeframe}
+            interval={activeInterval}
+            onIntervalChange={setCandleInterval}
+          />
           
-          {/* Chart type toggle */}
-          <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
-            <button
-              onClick={() => setChartType('candle')}
-              className={`px-2 py-1 text-xs rounded transition-all ${
-                chartType === 'candle' 
-                  ? 'bg-ticker-card text-white' 
-                  : 'text-ticker-muted hover:text-ticker-text'
-              }`}
-            >
-              Candles
-            </button>
-            <button
-              onClick={() => setChartType('line')}
-              className={`px-2 py-1 text-xs rounded transition-all ${
-                chartType === 'line' 
-                  ? 'bg-ticker-card text-white' 
-                  : 'text-ticker-muted hover:text-ticker-text'
-              }`}
-            >
-              Line
-            </button>
-          </div>
+          <ChartTypeSelector selected={chartType} onChange={setChartType} />
+
+          <IndicatorMenu indicators={indicators} onChange={setIndicators} />
         </div>
 
         {/* Crosshair data display */}
         {crosshairData && (
-          <div className="hidden md:flex items-center gap-4 text-xs font-mono">
-            <span className="text-ticker-muted">
-              O: <span className="text-white">${formatPrice(crosshairData.open)}</span>
-            </span>
-            <span className="text-ticker-muted">
-              H: <span className="text-ticker-green">${formatPrice(crosshairData.high)}</span>
-            </span>
-            <span className="text-ticker-muted">
-              L: <span className="text-ticker-red">${formatPrice(crosshairData.low)}</span>
-            </span>
-            <span className="text-ticker-muted">
-              C: <span className="text-white">${formatPrice(crosshairData.close)}</span>
-            </span>
-            {crosshairData.volume && (
+          <div className="hidden md:flex flex-wrap items-center justify-end gap-x-4 gap-y-1 text-xs font-mono">
+            {crosshairData.value !== undefined ? (
+              <span className="text-ticker-muted">
+                Price: <span className="text-white">{formatCurrency(crosshairData.value, market.quote, market.decimals)}</span>
+              </span>
+            ) : (
+              <>
+                <span className="text-ticker-muted">
+                  O: <span className="text-white">{formatCurrency(crosshairData.open, market.quote, market.decimals)}</span>
+                </span>
+                <span className="text-ticker-muted">
+                  H: <span className="text-ticker-green">{formatCurrency(crosshairData.high, market.quote, market.decimals)}</span>
+                </span>
+                <span className="text-ticker-muted">
+                  L: <span className="text-ticker-red">{formatCurrency(crosshairData.low, market.quote, market.decimals)}</span>
+                </span>
+                <span className="text-ticker-muted">
+                  C: <span className="text-white">{formatCurrency(crosshairData.close, market.quote, market.decimals)}</span>
+                </span>
+              </>
+            )}
+            {crosshairData.volume > 0 && (
               <span className="text-ticker-muted">
-                Vol: <span className="text-white">{formatVolume(crosshairData.volume)}</span>
+                Vol: <span className="text-white">{formatVolume(crosshairData.volume, market.quote)}</span>
               </span>
             )}
+            {crosshairData.indicators.map(({ indicator, values }) => (
+              <span key={indicator.id} className="text-ticker-muted">
+                {indicatorLabel(indicator)}:{' '}
+                {values.map(({ key, color, value }) => (
+                  <span key={key} className="ml-1" style={{ color: color || '#e0e0e0' }}>
+                    {INDICATORS[indicator.type].format === 'price'
+                      ? formatPrice(value, market.decimals, market.quote)
+                      : formatPrice(value, 2)}
+                  </span>
+                ))}
+              </span>
+            ))}
           </div>
         )}
       </div>
@@ -276,10 +492,29 @@ export function Chart({ currentPrice }) {
           </div>
         )}
 
+        {/* Drawings over the chart */}
+        <DrawingToolbar
+          tool={drawingTool}
+          onToolChange={setDrawingTool}
+          count={drawings.length}
+          onClear={() => setDrawings([])}
+        />
+        <DrawingLayer
+          chartRef={chartRef}
+          series={mainSeries}
+          candles={candles}
+          market={market}
+          drawings={drawings}
+          onChange={setDrawings}
+          tool={drawingTool}
+          onToolChange={setDrawingTool}
+        />
+
         {/* Actual chart */}
         <div 
           ref={containerRef} 
-          className="w-full h-[400px]"
+          className="w-full"
+          style={{ height: layout.height }}
         />
       </div>
     </div>
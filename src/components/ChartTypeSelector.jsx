@@ -0,0 +1,33 @@
+/**
+ * ChartTypeSelector - Pill buttons for the main price series style
+ * 
+ * Same look as TimeframeSelector so the chart header reads as one toolbar
+ */
+
+export const CHART_TYPES = [
+  { id: 'candle', label: 'Candles' },
+  { id: 'heikin', label: 'Heikin-Ashi' },
+  { id: 'bar', label: 'Bars' },
+  { id: 'line', label: 'Line' },
+  { id: 'area', label: 'Area' },
+]
+
+export function ChartTypeSelector({ selected, onChange }) {
+  return (
+    <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+      {CHART_TYPES.map(type => (
+        <button
+          key={type.id}
+          onClick={() => onChange(type.id)}
+          className={`px-2 py-1 text-xs rounded transition-all whitespace-nowrap ${
+            selected === type.id 
+              ? 'bg-ticker-card text-white' 
+              : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+        >
+          {type.label}
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,128 @@
+import { useConsolidatedBook } from '../hooks/useConsolidatedBook'
+import { convertArbitrage, convertLevels, convertSpread } from '../utils/conversion'
+import { formatCurrency } from '../utils/formatters'
+import { OrderBookHeader, OrderBookLadder } from './OrderBookLadder'
+
+/**
+ * ConsolidatedBook - Order book merged across venues
+ * 
+ * mode 'all': one ladder in shared price buckets, each row showing how
+ *             much of the level sits on each venue
+ * mode 'arb': each venue's top of book, highlighting any venue whose
+ *             best bid is above another's best ask
+ */
+
+export function ConsolidatedBook({ market, rate, venues: venueIds, mode, levels, tickSize, toggle, controls }) {
+  const book = useConsolidatedBook(venueIds, market, { levels, bucketSize: tickSize })
+  const arbitrage = convertArbitrage(book.arbitrage, rate)
+
+  const venueInfo = Object.fromEntries(book.venues.map(v => [v.id, v]))
+  const liveCount = book.venues.filter(v => v.status === 'connected' && v.sync === 'synced').length
+
+  const badge = (
+    <div className="flex items-center gap-2 text-xs whitespace-nowrap">
+      {book.venues.map(v => (
+        <span
+          key={v.id}
+          className={v.status === 'connected' && v.sync === 'synced' ? 'text-ticker-text' : 'text-ticker-muted line-through'}
+          title={`${v.name}: ${v.status}, ${v.sync}`}
+        >
+          <span style={{ color: v.color }}>●</span> {v.name}
+        </span>
+      ))}
+    </div>
+  )
+
+  return (
+    <>
+      <OrderBookHeader toggle={toggle} badge={badge} />
+      {mode === 'all' && controls}
+
+      {mode === 'all' && arbitrage.length > 0 && (
+        <ArbitrageBanner opportunity={arbitrage[0]} market={market} />
+      )}
+
+      {mode === 'all' ? (
+        <OrderBookLadder
+          bids={convertLevels(book.bids, rate)}
+          asks={convertLevels(book.asks, rate)}
+          spread={convertSpread(book.spread, rate)}
+          market={market}
+          trusted={liveCount > 0}
+          venueInfo={venueInfo}
+        />
+      ) : (
+        <ArbitrageView venues={book.venues} arbitrage={arbitrage} market={market} rate={rate} />
+      )}
+    </>
+  )
+}
+
+function ArbitrageBanner({ opportunity, market }) {
+  return (
+    <div className="px-3 py-1.5 bg-ticker-green/10 border-b border-ticker-border text-xs text-ticker-green">
+      ⚡ Buy {opportunity.buyVenue} / sell {opportunity.sellVenue}
+      <span className="font-mono ml-1">
+        +{formatCurrency(opportunity.profit, market.quote, market.decimals)} ({opportunity.percent.toFixed(3)}%)
+      </span>
+    </div>
+  )
+}
+
+function ArbitrageView({ venues, arbitrage, market, rate }) {
+  const bestBidVenue = arbitrage[0]?.sellVenue
+  const bestAskVenue = arbitrage[0]?.buyVenue
+  const scale = value => (value === null || rate === null ? null : value * rate)
+
+  return (
+    <div className="flex-1 overflow-y-auto text-xs">
+      {/* Top of book per venue */}
+      <div className="grid grid-cols-3 gap-2 px-3 py-1.5 text-ticker-muted border-b border-ticker-border">
+        <span>Venue</span>
+        <span className="text-right">Best bid</span>
+        <span className="text-right">Best ask</span>
+      </div>
+      {venues.map(v => (
+        <div key={v.id} className="grid grid-cols-3 gap-2 px-3 py-1.5 font-mono">
+          <span className="text-ticker-text font-sans">
+            <span style={{ color: v.color }}>●</span> {v.name}
+          </span>
+          <span className={`text-right ${v.name === bestBidVenue ? 'text-ticker-green font-semibold' : 'text-ticker-text'}`}>
+            {formatCurrency(scale(v.bestBid), market.quote, market.decimals)}
+          </span>
+          <span className={`text-right ${v.name === bestAskVenue ? 'text-ticker-red font-semibold' : 'text-ticker-text'}`}>
+            {formatCurrency(scale(v.bestAsk), market.quote, market.decimals)}
+          </span>
+        </div>
+      ))}
+
+      {/* Opportunities */}
+      <div className="px-3 py-1.5 mt-2 text-ticker-muted border-y border-ticker-border">
+        Opportunities
+      </div>
+      {arbitrage.length > 0 ? (
+        arbitrage.map(opp => (
+          <div key={`${opp.buyVenue}-${opp.sellVenue}`} className="px-3 py-2 bg-ticker-green/10 border-b border-ticker-border">
+            <div className="text-ticker-green">
+              Buy {opp.buyVenue} @ {formatCurrency(opp.buyPrice, market.quote, market.decimals)}
+              {' → '}
+              sell {opp.sellVenue} @ {formatCurrency(opp.sellPrice, market.quote, market.decimals)}
+            </div>
+            <div className="font-mono text-ticker-text mt-0.5">
+              +{formatCurrency(opp.profit, market.quote, market.decimals)} / {market.base}
+              <span className="text-ticker-muted ml-1">({opp.percent.toFixed(3)}%)</span>
+            </div>
+          </div>
+        ))
+      ) : (
+        <div className="px-3 py-4 text-center text-ticker-muted">
+          No crossed venues right now
+        </div>
+      )}
+
+      <div className="px-3 py-2 text-[10px] text-ticker-muted">
+        Before fees. Binance USD pairs are USDT-quoted.
+      </div>
+    </div>
+  )
+}
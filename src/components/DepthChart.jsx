@@ -0,0 +1,231 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { buildDepthCurve, depthAt } from '../utils/orderBook'
+import { formatCurrency, formatPrice, formatQuantity } from '../utils/formatters'
+
+/**
+ * DepthChart - Cumulative depth of the live order book
+ *
+ * Bid and ask staircases fan out from the mid price; hovering reads off
+ * how much size (and notional) sits between the touch and that price.
+ *
+ * Drawn on a canvas - the book updates many times a second and
+ * a few thousand SVG nodes per frame would be far too slow.
+ */
+
+const COLORS = {
+  bidLine: '#00c853',
+  bidFill: 'rgba(0, 200, 83, 0.15)',
+  askLine: '#ff1744',
+  askFill: 'rgba(255, 23, 68, 0.15)',
+  grid: '#1e1e24',
+  text: '#6b6b6b',
+  crosshair: '#4a4a52',
+}
+
+// Visible range either side of mid, in percent
+const RANGES = [0.5, 1, 2, 5]
+
+const PADDING = { top: 8, right: 8, bottom: 18, left: 8 }
+
+export function DepthChart({ depth, market, rate = 1 }) {
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const [size, setSize] = useState({ width: 0, height: 0 })
+  const [range, setRange] = useState(1)
+  const [hoverX, setHoverX] = useState(null)
+
+  // Curves in display currency, limited to the visible range
+  const chart = useMemo(() => {
+    const bestBid = depth.bids[0]?.price
+    const bestAsk = depth.asks[0]?.price
+    if (!bestBid || !bestAsk || rate === null) return null
+
+    const mid = ((bestBid + bestAsk) / 2) * rate
+    const minPrice = mid * (1 - range / 100)
+    const maxPrice = mid * (1 + range / 100)
+    const scale = levels => levels.map(level => ({ ...level, price: level.price * rate }))
+
+    const bids = buildDepthCurve(scale(depth.bids), 'bid', minPrice)
+    const asks = buildDepthCurve(scale(depth.asks), 'ask', maxPrice)
+    const maxCumulative = Math.max(
+      bids[bids.length - 1]?.cumulative || 0,
+      asks[asks.length - 1]?.cumulative || 0,
+    ) || 1
+
+    return { mid, minPrice, maxPrice, bids, asks, maxCumulative }
+  }, [depth, range, rate])
+
+  // Track container size
+  useEffect(() => {
+    if (!containerRef.current) return
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect
+      setSize({ width, height })
+    })
+    observer.observe(containerRef.current)
+
+    return () => observer.disconnect()
+  }, [])
+
+  // Price under the cursor and the depth behind it
+  const hover = useMemo(() => {
+    if (!chart || hoverX === null) return null
+
+    const plotWidth = size.width - PADDING.left - PADDING.right
+    const price = chart.minPrice + ((hoverX - PADDING.left) / plotWidth) * (chart.maxPrice - chart.minPrice)
+    const side = price <= chart.mid ? 'bid' : 'ask'
+    const level = depthAt(side === 'bid' ? chart.bids : chart.asks, side, price)
+
+    return { price, side, level }
+  }, [chart, hoverX, size.width])
+
+  // Draw
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !size.width || !size.height) return
+
+    const dpr = window.devicePixelRatio || 1
+    canvas.width = size.width * dpr
+    canvas.height = size.height * dpr
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, size.width, size.height)
+
+    if (!chart) return
+
+    const plotWidth = size.width - PADDING.left - PADDING.right
+    const plotHeight = size.height - PADDING.top - PADDING.bottom
+    const baseline = PADDING.top + plotHeight
+
+    const x = price => PADDING.left + ((price - chart.minPrice) / (chart.maxPrice - chart.minPrice)) * plotWidth
+    const y = cumulative => baseline - (cumulative / chart.maxCumulative) * plotHeight
+
+    // Mid line
+    ctx.strokeStyle = COLORS.grid
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    ctx.moveTo(x(chart.mid), PADDING.top)
+    ctx.lineTo(x(chart.mid), baseline)
+    ctx.stroke()
+
+    drawSide(ctx, chart.bids, x, y, baseline, x(chart.minPrice), COLORS.bidLine, COLORS.bidFill)
+    drawSide(ctx, chart.asks, x, y, baseline, x(chart.maxPrice), COLORS.askLine, COLORS.askFill)
+
+    // Price axis: range ends and mid
+    ctx.fillStyle = COLORS.text
+    ctx.font = '10px SF Mono, Monaco, monospace'
+    ctx.textBaseline = 'bottom'
+    ctx.textAlign = 'left'
+    ctx.fillText(formatPrice(chart.minPrice, market.decimals, market.quote), PADDING.left, size.height)
+    ctx.textAlign = 'center'
+    ctx.fillText(formatPrice(chart.mid, market.decimals, market.quote), x(chart.mid), size.height)
+    ctx.textAlign = 'right'
+    ctx.fillText(formatPrice(chart.maxPrice, market.decimals, market.quote), size.width - PADDING.right, size.height)
+
+    // Size axis: max cumulative
+    ctx.textBaseline = 'top'
+    ctx.textAlign = 'left'
+    ctx.fillText(`${formatQuantity(chart.maxCumulative, 2)} ${market.base}`, PADDING.left, PADDING.top)
+
+    // Crosshair
+    if (hover) {
+      ctx.strokeStyle = COLORS.crosshair
+      ctx.setLineDash([3, 3])
+      ctx.beginPath()
+      ctx.moveTo(x(hover.price), PADDING.top)
+      ctx.lineTo(x(hover.price), baseline)
+      if (hover.level) {
+        ctx.moveTo(PADDING.left, y(hover.level.cumulative))
+        ctx.lineTo(size.width - PADDING.right, y(hover.level.cumulative))
+      }
+      ctx.stroke()
+      ctx.setLineDash([])
+    }
+  }, [chart, size, hover, market])
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      {/* Range + hover readout */}
+      <div className="px-3 py-1.5 flex items-center justify-between text-xs border-b border-ticker-border">
+        <div className="flex gap-1 bg-ticker-bg p-0.5 rounded-md">
+          {RANGES.map(r => (
+            <button
+              key={r}
+              onClick={() => setRange(r)}
+              className={`px-1.5 py-0.5 text-[10px] rounded transition-all ${
+                range === r
+                  ? 'bg-ticker-card text-white'
+                  : 'text-ticker-muted hover:text-ticker-text'
+              }`}
+            >
+              ±{r}%
+            </button>
+          ))}
+        </div>
+        {hover?.level ? (
+          <div className={`font-mono text-right ${hover.side === 'bid' ? 'text-ticker-green' : 'text-ticker-red'}`}>
+            {formatQuantity(hover.level.cumulative, 4)} {market.base}
+            <span className="text-ticker-muted ml-1">
+              ({formatCurrency(hover.level.notional, market.quote, market.notionalDecimals)})
+            </span>
+          </div>
+        ) : (
+          <span className="text-ticker-muted">Hover for depth</span>
+        )}
+      </div>
+
+      <div
+        ref={containerRef}
+        className="relative flex-1 min-h-0"
+        onMouseMove={(e) => setHoverX(e.clientX - e.currentTarget.getBoundingClientRect().left)}
+        onMouseLeave={() => setHoverX(null)}
+      >
+        <canvas
+          ref={canvasRef}
+          className="absolute inset-0"
+          style={{ width: size.width, height: size.height }}
+        />
+        {!chart && (
+          <div className="absolute inset-0 flex items-center justify-center text-ticker-muted text-xs">
+            Loading...
+          </div>
+        )}
+        {hover && (
+          <div className="absolute top-1 right-2 text-[10px] font-mono text-ticker-muted pointer-events-none">
+            @ {formatPrice(hover.price, market.decimals, market.quote)}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Staircase from the touch outwards: flat until the next level's price,
+ * then step up by that level's size. Extends flat to the range edge.
+ */
+function drawSide(ctx, curve, x, y, baseline, edgeX, lineColor, fillColor) {
+  if (!curve.length) return
+
+  ctx.beginPath()
+  ctx.moveTo(x(curve[0].price), baseline)
+
+  let prevCumulative = 0
+  curve.forEach(level => {
+    ctx.lineTo(x(level.price), y(prevCumulative))
+    ctx.lineTo(x(level.price), y(level.cumulative))
+    prevCumulative = level.cumulative
+  })
+  ctx.lineTo(edgeX, y(prevCumulative))
+
+  ctx.strokeStyle = lineColor
+  ctx.lineWidth = 1.5
+  ctx.stroke()
+
+  ctx.lineTo(edgeX, baseline)
+  ctx.closePath()
+  ctx.fillStyle = fillColor
+  ctx.fill()
+}
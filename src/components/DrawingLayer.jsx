@@ -0,0 +1,327 @@
+import { useEffect, useRef, useState } from 'react'
+import { FIB_LEVELS, fibPrice, logicalToTime, timeToLogical } from '../utils/drawings'
+import { formatPrice } from '../utils/formatters'
+
+/**
+ * DrawingLayer - SVG drawings over the Lightweight Charts canvas
+ *
+ * Drawings are stored as time/price anchors (see utils/drawings.js) and
+ * projected to pixels on every redraw: scrolling, zooming, resizing or
+ * new candles all move them with the chart.
+ *
+ * - With a tool picked, the layer takes the pointer: click to place
+ *   one-point drawings, click-click or drag for two-point ones.
+ * - Without one, the chart pans as usual; clicking a drawing selects it,
+ *   its handles can be dragged, Delete removes it.
+ */
+
+export const DRAWING_TOOLS = [
+  { id: 'hline', label: '―', title: 'Horizontal line' },
+  { id: 'trendline', label: '╱', title: 'Trendline' },
+  { id: 'rect', label: '▭', title: 'Rectangle' },
+  { id: 'fib', label: 'Fib', title: 'Fibonacci retracement' },
+  { id: 'text', label: 'T', title: 'Text note' },
+]
+
+const COLOR = '#29b6f6'
+const SELECTED_COLOR = '#ffffff'
+const FIB_COLORS = ['#787b86', '#f44336', '#ff9800', '#4caf50', '#29b6f6', '#9c27b0', '#787b86']
+// Horizontal lines span the chart; their handle sits near the left edge
+const HLINE_HANDLE_X = 40
+// Pointer travel (px) that turns a click into a drag
+const DRAG_THRESHOLD = 4
+
+let nextId = 1
+const newId = () => `${Date.now().toString(36)}-${nextId++}`
+
+export function DrawingLayer({ chartRef, series, candles, market, drawings, onChange, tool, onToolChange }) {
+  const svgRef = useRef(null)
+  const [, setVersion] = useState(0)
+  const [draft, setDraft] = useState(null)
+  const [selectedId, setSelectedId] = useState(null)
+  const dragRef = useRef(null)
+
+  // Re-project when the chart scrolls, zooms or resizes;
+  // a click on the chart itself drops the selection
+  useEffect(() => {
+    const chart = chartRef.current
+    if (!chart || !series) return
+
+    const redraw = () => setVersion(v => v + 1)
+    const deselect = () => setSelectedId(null)
+    chart.timeScale().subscribeVisibleLogicalRangeChange(redraw)
+    chart.timeScale().subscribeSizeChange(redraw)
+    chart.subscribeClick(deselect)
+
+    return () => {
+      chart.timeScale().unsubscribeVisibleLogicalRangeChange(redraw)
+      chart.timeScale().unsubscribeSizeChange(redraw)
+      chart.unsubscribeClick(deselect)
+    }
+  }, [chartRef, series])
+
+  // Delete the selected drawing from the keyboard
+  useEffect(() => {
+    if (!selectedId) return
+
+    const handleKey = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        onChange(drawings.filter(drawing => drawing.id !== selectedId))
+        setSelectedId(null)
+      } else if (e.key === 'Escape') {
+        setSelectedId(null)
+      }
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [selectedId, drawings, onChange])
+
+  // Dropping the tool cancels a half-drawn shape
+  useEffect(() => {
+    setDraft(null)
+  }, [tool])
+
+  const chart = chartRef.current
+  if (!chart || !series || !candles.length) return null
+
+  const timeScale = chart.timeScale()
+  const toX = time => timeScale.logicalToCoordinate(timeToLogical(candles, time))
+  const toY = price => series.priceToCoordinate(price)
+
+  const toAnchor = (e) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    const logical = timeScale.coordinateToLogical(e.clientX - rect.left)
+    const price = series.coordinateToPrice(e.clientY - rect.top)
+    if (logical === null || price === null) return null
+    return { time: logicalToTime(candles, logical), price, x: e.clientX, y: e.clientY }
+  }
+
+  const finish = (drawing) => {
+    onChange([...drawings, drawing])
+    setDraft(null)
+    onToolChange(null)
+  }
+
+  const handlePointerDown = (e) => {
+    const anchor = toAnchor(e)
+    if (!anchor) return
+    const point = { time: anchor.time, price: anchor.price }
+
+    if (draft) {
+      finish({ ...draft, points: [draft.points[0], point] })
+      return
+    }
+
+    if (tool === 'hline') {
+      finish({ id: newId(), type: tool, points: [point] })
+    } else if (tool === 'text') {
+      const text = window.prompt('Note')
+      if (text) finish({ id: newId(), type: tool, points: [point], text })
+    } else {
+      e.currentTarget.setPointerCapture(e.pointerId)
+      setDraft({ id: newId(), type: tool, points: [point, point], start: anchor })
+    }
+  }
+
+  const handlePointerMove = (e) => {
+    if (!draft) return
+    const anchor = toAnchor(e)
+    if (anchor) setDraft({ ...draft, points: [draft.points[0], { time: anchor.time, price: anchor.price }] })
+  }
+
+  const handlePointerUp = (e) => {
+    if (!draft) return
+    // A drag places both points; a click waits for the second one
+    const moved = Math.hypot(e.clientX - draft.start.x, e.clientY - draft.start.y)
+    if (moved > DRAG_THRESHOLD) finish({ ...draft, points: draft.points })
+  }
+
+  // Handle dragging on a selected drawing
+  const startHandleDrag = (e, drawing, index) => {
+    e.stopPropagation()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    dragRef.current = { id: drawing.id, index }
+  }
+
+  const moveHandle = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+    const anchor = toAnchor(e)
+    if (!anchor) return
+
+    onChange(drawings.map(drawing => {
+      if (drawing.id !== drag.id) return drawing
+      const points = drawing.points.slice()
+      points[drag.index] = { time: anchor.time, price: anchor.price }
+      return { ...drawing, points }
+    }))
+  }
+
+  const endHandleDrag = () => {
+    dragRef.current = null
+  }
+
+  const shapes = draft ? [...drawings, draft] : drawings
+
+  return (
+    <svg
+      ref={svgRef}
+      className="absolute inset-0 w-full h-full z-[5]"
+      style={{
+        pointerEvents: tool ? 'all' : 'none',
+        cursor: tool ? 'crosshair' : 'default',
+      }}
+      onPointerDown={tool ? handlePointerDown : undefined}
+      onPointerMove={tool ? handlePointerMove : undefined}
+      onPointerUp={tool ? handlePointerUp : undefined}
+    >
+      {shapes.map(drawing => {
+        const selected = drawing.id === selectedId
+        const points = drawing.points.map(point => ({ x: toX(point.time), y: toY(point.price) }))
+        if (points.some(point => point.x === null || point.y === null)) return null
+
+        return (
+          <g
+            key={drawing.id}
+            style={{ pointerEvents: tool ? 'none' : 'visiblePainted', cursor: 'pointer' }}
+            onPointerDown={(e) => {
+              e.stopPropagation()
+              setSelectedId(drawing.id)
+            }}
+          >
+            <Shape drawing={drawing} points={points} color={selected ? SELECTED_COLOR : COLOR} market={market} />
+            {selected && points.map((point, i) => (
+              <circle
+                key={i}
+                cx={drawing.type === 'hline' ? HLINE_HANDLE_X : point.x}
+                cy={point.y}
+                r={5}
+                fill="#131318"
+                stroke={SELECTED_COLOR}
+                strokeWidth={1.5}
+                style={{ cursor: 'move' }}
+                onPointerDown={(e) => startHandleDrag(e, drawing, i)}
+                onPointerMove={moveHandle}
+                onPointerUp={endHandleDrag}
+              />
+            ))}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+/**
+ * Tool buttons, stacked down the chart's left edge
+ */
+export function DrawingToolbar({ tool, onToolChange, count, onClear }) {
+  return (
+    <div className="absolute left-2 top-2 z-10 flex flex-col gap-1 bg-ticker-bg/90 p-1 rounded-md">
+      {DRAWING_TOOLS.map(t => (
+        <button
+          key={t.id}
+          onClick={() => onToolChange(tool === t.id ? null : t.id)}
+          title={t.title}
+          className={`w-7 h-6 text-xs rounded transition-all ${
+            tool === t.id 
+              ? 'bg-ticker-card text-white' 
+              : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+        >
+          {t.label}
+        </button>
+      ))}
+      {count > 0 && (
+        <button
+          onClick={() => {
+            if (window.confirm(`Remove all ${count} drawings?`)) onClear()
+          }}
+          title="Remove all drawings"
+          className="w-7 h-6 text-xs rounded text-ticker-muted hover:text-ticker-red"
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * One drawing in pixels. Each shape also gets a wide invisible stroke
+ * so thin lines are easy to click.
+ */
+function Shape({ drawing, points, color, market }) {
+  const [a, b] = points
+  const label = price => formatPrice(price, market.decimals, market.quote)
+
+  switch (drawing.type) {
+    case 'hline':
+      return (
+        <>
+          <line x1={0} x2="100%" y1={a.y} y2={a.y} stroke="transparent" strokeWidth={10} />
+          <line x1={0} x2="100%" y1={a.y} y2={a.y} stroke={color} strokeWidth={1} />
+          <text x={4} y={a.y - 4} fill={color} fontSize={10} fontFamily="monospace">
+            {label(drawing.points[0].price)}
+          </text>
+        </>
+      )
+
+    case 'trendline':
+      return (
+        <>
+          <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="transparent" strokeWidth={10} />
+          <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={1.5} />
+        </>
+      )
+
+    case 'rect':
+      return (
+        <rect
+          x={Math.min(a.x, b.x)}
+          y={Math.min(a.y, b.y)}
+          width={Math.abs(b.x - a.x)}
+          height={Math.abs(b.y - a.y)}
+          fill={color}
+          fillOpacity={0.1}
+          stroke={color}
+          strokeWidth={1}
+        />
+      )
+
+    case 'fib': {
+      const [start, end] = drawing.points
+      const left = Math.min(a.x, b.x)
+      const width = Math.abs(b.x - a.x)
+      return (
+        <>
+          <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={color} strokeWidth={1} strokeDasharray="3 3" />
+          {FIB_LEVELS.map((level, i) => {
+            const price = fibPrice(start, end, level)
+            const y = a.y + (b.y - a.y) * (1 - level)
+            return (
+              <g key={level}>
+                <line x1={left} x2={left + width} y1={y} y2={y} stroke="transparent" strokeWidth={8} />
+                <line x1={left} x2={left + width} y1={y} y2={y} stroke={FIB_COLORS[i]} strokeWidth={1} />
+                <text x={left + 4} y={y - 3} fill={FIB_COLORS[i]} fontSize={10} fontFamily="monospace">
+                  {level} ({label(price)})
+                </text>
+              </g>
+            )
+          })}
+        </>
+      )
+    }
+
+    case 'text':
+      return (
+        <text x={a.x} y={a.y} fill={color} fontSize={12} fontFamily="sans-serif" dominantBaseline="middle">
+          {drawing.text}
+        </text>
+      )
+
+    default:
+      return null
+  }
+}
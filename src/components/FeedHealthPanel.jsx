@@ -0,0 +1,132 @@
+import { useState } from 'react'
+import { useFeedHealth } from '../hooks/useFeedHealth'
+import { formatTime } from '../utils/formatters'
+
+/**
+ * FeedHealthPanel - Connection diagnostics for every live stream
+ *
+ * One row per provider stream (see providers/health.js): state, message
+ * rate, time since the last message, exchange-to-receive latency,
+ * reconnects and errors. Rows with errors expand to the history.
+ */
+
+// A stream that's connected but quieter than this is flagged
+const QUIET_AFTER = 10000
+
+const STATES = {
+  connected: { label: '● Connected', className: 'text-ticker-green' },
+  connecting: { label: '○ Connecting', className: 'text-yellow-500' },
+  error: { label: '● Error', className: 'text-ticker-red' },
+  unavailable: { label: '● Unavailable', className: 'text-ticker-red' },
+}
+
+const STREAM_ORDER = ['ticker', 'book', 'trades']
+
+function formatAge(ms) {
+  if (ms === null) return '—'
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)}s`
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`
+  return `${Math.floor(ms / 60000)}m`
+}
+
+export function FeedHealthPanel() {
+  const feeds = useFeedHealth()
+  const [expanded, setExpanded] = useState(null)
+
+  const sorted = [...feeds].sort((a, b) => (
+    a.provider.localeCompare(b.provider) ||
+    STREAM_ORDER.indexOf(a.stream) - STREAM_ORDER.indexOf(b.stream) ||
+    a.productId.localeCompare(b.productId)
+  ))
+  const healthy = feeds.filter(feed => feed.status === 'connected').length
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden">
+      {/* Header */}
+      <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between">
+        <h3 className="text-sm font-medium text-ticker-text">Connection Health</h3>
+        <span className="text-xs text-ticker-muted">{healthy}/{feeds.length} connected</span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-ticker-muted border-b border-ticker-border">
+              <th className="px-3 py-1.5 text-left font-normal">Feed</th>
+              <th className="px-3 py-1.5 text-left font-normal">State</th>
+              <th className="px-3 py-1.5 text-right font-normal">Msg/s</th>
+              <th className="px-3 py-1.5 text-right font-normal">Last msg</th>
+              <th className="px-3 py-1.5 text-right font-normal" title="Exchange timestamp to receive (median) - includes local clock offset">
+                Latency
+              </th>
+              <th className="px-3 py-1.5 text-right font-normal">Reconnects</th>
+              <th className="px-3 py-1.5 text-right font-normal">Errors</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.length === 0 && (
+              <tr>
+                <td colSpan={7} className="py-6 text-center text-ticker-muted">No live feeds</td>
+              </tr>
+            )}
+            {sorted.map(feed => (
+              <FeedRow
+                key={feed.key}
+                feed={feed}
+                expanded={expanded === feed.key}
+                onToggle={() => setExpanded(expanded === feed.key ? null : feed.key)}
+              />
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+function FeedRow({ feed, expanded, onToggle }) {
+  const state = STATES[feed.status] || STATES.connecting
+  const quiet = feed.status === 'connected' && feed.lastMessageAge !== null && feed.lastMessageAge > QUIET_AFTER
+  const hasErrors = feed.errors.length > 0
+
+  return (
+    <>
+      <tr
+        onClick={hasErrors ? onToggle : undefined}
+        className={`border-b border-ticker-border font-mono ${hasErrors ? 'cursor-pointer hover:bg-ticker-bg' : ''}`}
+      >
+        <td className="px-3 py-1.5 font-sans text-ticker-text whitespace-nowrap">
+          {feed.provider} {feed.stream}
+          <span className="text-ticker-muted ml-1">{feed.productId}</span>
+          {feed.subscribers > 1 && <span className="text-ticker-muted ml-1">×{feed.subscribers}</span>}
+        </td>
+        <td className={`px-3 py-1.5 font-sans whitespace-nowrap ${quiet ? 'text-yellow-500' : state.className}`}>
+          {quiet ? '● Quiet' : state.label}
+        </td>
+        <td className="px-3 py-1.5 text-right text-ticker-text">{feed.messageRate.toFixed(1)}</td>
+        <td className={`px-3 py-1.5 text-right ${quiet ? 'text-yellow-500' : 'text-ticker-text'}`}>
+          {formatAge(feed.lastMessageAge)}
+        </td>
+        <td className="px-3 py-1.5 text-right text-ticker-text">
+          {feed.latency === null ? '—' : `${Math.round(feed.latency)} ms`}
+        </td>
+        <td className="px-3 py-1.5 text-right text-ticker-text">{feed.reconnects}</td>
+        <td className={`px-3 py-1.5 text-right ${hasErrors ? 'text-ticker-red' : 'text-ticker-text'}`}>
+          {feed.errors.length}{hasErrors && (expanded ? ' ▴' : ' ▾')}
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="border-b border-ticker-border bg-ticker-bg">
+          <td colSpan={7} className="px-3 py-1.5">
+            {feed.errors.map((error, i) => (
+              <div key={i} className="flex gap-3 text-ticker-muted">
+                <span className="font-mono">{formatTime(error.time)}</span>
+                <span className="text-ticker-text">{error.message}</span>
+              </div>
+            ))}
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,178 @@
+import { useEffect, useRef, useState } from 'react'
+import { INDICATORS, createIndicator, indicatorLabel } from '../indicators'
+
+/**
+ * IndicatorMenu - Add, tune and remove chart indicators
+ *
+ * A toolbar button opening a popover: the active indicators with their
+ * parameters on top, everything that can be added below. The same
+ * indicator can be added more than once (e.g. SMA 20 and SMA 50).
+ */
+
+export function IndicatorMenu({ indicators, onChange }) {
+  const [open, setOpen] = useState(false)
+  const menuRef = useRef(null)
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return
+
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        // Apply a parameter still being typed before the field goes away
+        if (menuRef.current.contains(document.activeElement)) document.activeElement.blur()
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const add = (type) => onChange([...indicators, createIndicator(type, indicators)])
+  const remove = (id) => onChange(indicators.filter(indicator => indicator.id !== id))
+
+  // Returns an error (and changes nothing) if the indicator rejects the combination
+  const setParam = (id, key, value) => {
+    const indicator = indicators.find(item => item.id === id)
+    const params = { ...indicator.params, [key]: value }
+    const error = INDICATORS[indicator.type].validate?.(params)
+    if (error) return error
+
+    onChange(indicators.map(item => (item.id === id ? { ...item, params } : item)))
+    return null
+  }
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`px-2 py-1.5 text-xs rounded-lg bg-ticker-bg transition-all whitespace-nowrap ${
+          open ? 'text-white' : 'text-ticker-muted hover:text-ticker-text'
+        }`}
+      >
+        Indicators{indicators.length > 0 && ` (${indicators.length})`}
+      </button>
+
+      {open && (
+        <div className="absolute left-0 top-full mt-1 z-20 w-72 bg-ticker-card border border-ticker-border rounded-lg shadow-lg text-xs">
+          {indicators.length > 0 && (
+            <div className="p-2 border-b border-ticker-border space-y-2">
+              {indicators.map(indicator => (
+                <ActiveIndicator
+                  key={indicator.id}
+                  indicator={indicator}
+                  onParam={(key, value) => setParam(indicator.id, key, value)}
+                  onRemove={() => remove(indicator.id)}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="p-1 max-h-64 overflow-y-auto">
+            {Object.entries(INDICATORS).map(([type, definition]) => (
+              <button
+                key={type}
+                onClick={() => add(type)}
+                className="w-full px-2 py-1.5 flex items-center justify-between rounded text-left hover:bg-ticker-bg"
+              >
+                <span className="text-ticker-text">
+                  {definition.name}
+                  <span className="text-ticker-muted ml-2">{definition.description}</span>
+                </span>
+                <span className="text-ticker-muted">+</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ActiveIndicator({ indicator, onParam, onRemove }) {
+  const definition = INDICATORS[indicator.type]
+  const [error, setError] = useState(null)
+
+  const handleParam = (key, value) => {
+    const rejected = onParam(key, value)
+    setError(rejected)
+    return !rejected
+  }
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: indicator.color }} />
+        <span className="text-ticker-text w-12 shrink-0" title={indicatorLabel(indicator)}>{definition.name}</span>
+        <div className="flex-1 flex gap-1">
+          {definition.params.map(param => (
+            <ParamInput
+              key={param.key}
+              param={param}
+              value={indicator.params[param.key]}
+              onChange={(value) => handleParam(param.key, value)}
+            />
+          ))}
+        </div>
+        <button
+          onClick={onRemove}
+          className="text-ticker-muted hover:text-ticker-red"
+          title="Remove"
+        >
+          ×
+        </button>
+      </div>
+      {error && <div className="text-ticker-red mt-1 pl-4">{error}</div>}
+    </div>
+  )
+}
+
+/**
+ * A parameter field that can be cleared and retyped freely - the draft
+ * is applied on blur or Enter, rounded to the parameter's step and
+ * clamped to its range. It's dropped if it isn't a number, or if
+ * onChange returns false (a combination the indicator rejects).
+ */
+function ParamInput({ param, value, onChange }) {
+  const [draft, setDraft] = useState(String(value))
+
+  useEffect(() => {
+    setDraft(String(value))
+  }, [value])
+
+  const commit = () => {
+    const parsed = parseFloat(draft)
+    if (isNaN(parsed)) {
+      setDraft(String(value))
+      return
+    }
+
+    const step = param.step || 1
+    // toFixed drops float noise from fractional steps (0.5 * 3 etc.)
+    const stepped = Number((Math.round(parsed / step) * step).toFixed(10))
+    const clamped = Math.min(param.max, Math.max(param.min, stepped))
+    if (clamped === value) {
+      setDraft(String(value))
+      return
+    }
+
+    setDraft(String(onChange(clamped) === false ? value : clamped))
+  }
+
+  return (
+    <input
+      type="number"
+      min={param.min}
+      max={param.max}
+      step={param.step || 1}
+      value={draft}
+      title={param.label}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') commit()
+      }}
+      className="w-12 bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+    />
+  )
+}
@@ -0,0 +1,259 @@
+import { useEffect, useRef, useState } from 'react'
+import { useBookHeatmap, HEATMAP_RANGE } from '../hooks/useBookHeatmap'
+import { getFeedState } from './OrderBookLadder'
+import { formatPrice } from '../utils/formatters'
+
+/**
+ * LiquidityHeatmap - Resting book size per price level over time
+ *
+ * Each column is one sample of the book (see useBookHeatmap): brighter
+ * cells hold more size. The last trade price runs across it as a line,
+ * so you can watch price walk into - or bounce off - walls of liquidity.
+ *
+ * Cells are painted into an ImageData one pixel per bucket per sample
+ * and scaled up in a single drawImage - an hour of columns is far too
+ * many rects to fill one by one. Intensity is log-scaled so a single
+ * huge order doesn't wash everything else out.
+ */
+
+const WINDOWS = [
+  { label: '5m', seconds: 5 * 60 },
+  { label: '15m', seconds: 15 * 60 },
+  { label: '1h', seconds: 60 * 60 },
+]
+
+// Visible range either side of the latest mid, in percent
+const RANGES = [0.25, 0.5, HEATMAP_RANGE]
+
+const PADDING = { top: 8, right: 72, bottom: 18, left: 0 }
+const PRICE_TICKS = 5
+
+const COLORS = {
+  background: '#131318',
+  trade: '#ffffff',
+  text: '#6b6b6b',
+  grid: '#1e1e24',
+}
+
+// Dark -> blue -> cyan -> yellow -> white
+const RAMP = [
+  [0, [19, 19, 24]],
+  [0.25, [13, 59, 102]],
+  [0.5, [31, 155, 209]],
+  [0.75, [245, 213, 71]],
+  [1, [255, 255, 255]],
+]
+
+// 256-step color lookup from the ramp, as [r, g, b] triplets
+const PALETTE = (() => {
+  const table = new Uint8ClampedArray(256 * 3)
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255
+    const upper = RAMP.findIndex(([stop]) => stop >= t)
+    const [t1, c1] = RAMP[Math.max(upper, 1)]
+    const [t0, c0] = RAMP[Math.max(upper, 1) - 1]
+    const mix = (t - t0) / (t1 - t0)
+    for (let c = 0; c < 3; c++) table[i * 3 + c] = c0[c] + (c1[c] - c0[c]) * mix
+  }
+  return table
+})()
+
+export function LiquidityHeatmap({ market, rate = 1, provider, lastPrice }) {
+  const { heatmap, version, status, sync, sampleInterval } = useBookHeatmap(provider, market, lastPrice)
+  const feedState = getFeedState(status, sync)
+
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const imageCanvasRef = useRef(null)
+  const [size, setSize] = useState({ width: 0, height: 0 })
+  const [windowIndex, setWindowIndex] = useState(0)
+  const [range, setRange] = useState(0.5)
+  const [empty, setEmpty] = useState(true)
+
+  // Track container size
+  useEffect(() => {
+    if (!containerRef.current) return
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect
+      setSize({ width, height })
+    })
+    observer.observe(containerRef.current)
+
+    return () => observer.disconnect()
+  }, [])
+
+  // Draw after every sample
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !size.width || !size.height) return
+
+    const dpr = window.devicePixelRatio || 1
+    canvas.width = size.width * dpr
+    canvas.height = size.height * dpr
+
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.fillStyle = COLORS.background
+    ctx.fillRect(0, 0, size.width, size.height)
+
+    const { columns, bucketSize } = heatmap
+    const count = Math.round((WINDOWS[windowIndex].seconds * 1000) / sampleInterval)
+    const visible = columns.last(count)
+    const latest = [...visible].reverse().find(column => column.sizes)
+    setEmpty(!latest)
+    if (!latest || rate === null) return
+
+    const plotWidth = size.width - PADDING.left - PADDING.right
+    const plotHeight = size.height - PADDING.top - PADDING.bottom
+
+    // Price window, snapped to whole buckets
+    const lowIndex = Math.floor((latest.mid * (1 - range / 100)) / bucketSize)
+    const highIndex = Math.floor((latest.mid * (1 + range / 100)) / bucketSize)
+    const rows = highIndex - lowIndex + 1
+    const minPrice = lowIndex * bucketSize
+    const maxPrice = (highIndex + 1) * bucketSize
+    const y = price => PADDING.top + ((maxPrice - price) / (maxPrice - minPrice)) * plotHeight
+
+    // Newest column on the right; a short history leaves the left empty
+    const offset = count - visible.length
+
+    // Scale intensity to the biggest cell in view
+    let maxSize = 0
+    visible.forEach(column => {
+      if (!column.sizes) return
+      for (let bucket = lowIndex; bucket <= highIndex; bucket++) {
+        const value = column.sizes[bucket - column.low]
+        if (value > maxSize) maxSize = value
+      }
+    })
+    const scale = Math.log1p(maxSize) || 1
+
+    // One pixel per (sample, bucket); image row 0 is the top (highest) bucket
+    const image = ctx.createImageData(count, rows)
+    visible.forEach((column, j) => {
+      if (!column.sizes) return
+      const x = offset + j
+      for (let row = 0; row < rows; row++) {
+        const value = column.sizes[highIndex - row - column.low]
+        if (!value) continue
+        const shade = Math.round((Math.log1p(value) / scale) * 255) * 3
+        const pixel = (row * count + x) * 4
+        image.data[pixel] = PALETTE[shade]
+        image.data[pixel + 1] = PALETTE[shade + 1]
+        image.data[pixel + 2] = PALETTE[shade + 2]
+        image.data[pixel + 3] = 255
+      }
+    })
+
+    if (!imageCanvasRef.current) imageCanvasRef.current = document.createElement('canvas')
+    const imageCanvas = imageCanvasRef.current
+    imageCanvas.width = count
+    imageCanvas.height = rows
+    imageCanvas.getContext('2d').putImageData(image, 0, 0)
+
+    ctx.imageSmoothingEnabled = false
+    ctx.drawImage(imageCanvas, PADDING.left, PADDING.top, plotWidth, plotHeight)
+
+    // Last trade price
+    ctx.strokeStyle = COLORS.trade
+    ctx.lineWidth = 1.5
+    ctx.beginPath()
+    let drawing = false
+    visible.forEach((column, j) => {
+      if (column.lastTrade === null) {
+        drawing = false
+        return
+      }
+      const x = PADDING.left + ((offset + j + 0.5) / count) * plotWidth
+      const price = Math.min(Math.max(column.lastTrade, minPrice), maxPrice)
+      if (drawing) {
+        ctx.lineTo(x, y(price))
+      } else {
+        ctx.moveTo(x, y(price))
+        drawing = true
+      }
+    })
+    ctx.stroke()
+
+    // Price axis, in the display currency
+    ctx.fillStyle = COLORS.text
+    ctx.strokeStyle = COLORS.grid
+    ctx.lineWidth = 1
+    ctx.font = '10px SF Mono, Monaco, monospace'
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'middle'
+    for (let i = 0; i < PRICE_TICKS; i++) {
+      const price = minPrice + ((i + 0.5) / PRICE_TICKS) * (maxPrice - minPrice)
+      ctx.beginPath()
+      ctx.moveTo(size.width - PADDING.right, y(price))
+      ctx.lineTo(size.width - PADDING.right + 4, y(price))
+      ctx.stroke()
+      ctx.fillText(formatPrice(price * rate, market.decimals, market.quote), size.width - PADDING.right + 6, y(price))
+    }
+
+    // Time axis: window start and now
+    ctx.textBaseline = 'bottom'
+    ctx.fillText(`-${WINDOWS[windowIndex].label}`, PADDING.left + 4, size.height)
+    ctx.textAlign = 'right'
+    ctx.fillText('now', size.width - PADDING.right, size.height)
+  }, [heatmap, version, size, windowIndex, range, rate, market, sampleInterval])
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
+      {/* Header */}
+      <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <h3 className="text-sm font-medium text-ticker-text whitespace-nowrap">Liquidity Heatmap</h3>
+          <span className="text-xs text-ticker-muted">• {market.id}</span>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          <Pills
+            options={WINDOWS.map((w, i) => ({ id: i, label: w.label }))}
+            selected={windowIndex}
+            onChange={setWindowIndex}
+          />
+          <Pills
+            options={RANGES.map(r => ({ id: r, label: `±${r}%` }))}
+            selected={range}
+            onChange={setRange}
+          />
+          <span className={`whitespace-nowrap ${feedState.className}`}>{feedState.label}</span>
+        </div>
+      </div>
+
+      <div ref={containerRef} className="relative flex-1 min-h-0">
+        <canvas
+          ref={canvasRef}
+          className="absolute inset-0"
+          style={{ width: size.width, height: size.height }}
+        />
+        {empty && (
+          <div className="absolute inset-0 flex items-center justify-center text-ticker-muted text-xs">
+            Sampling order book...
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function Pills({ options, selected, onChange }) {
+  return (
+    <div className="flex gap-1 bg-ticker-bg p-0.5 rounded-md">
+      {options.map(option => (
+        <button
+          key={option.id}
+          onClick={() => onChange(option.id)}
+          className={`px-1.5 py-0.5 text-[10px] rounded transition-all ${
+            selected === option.id
+              ? 'bg-ticker-card text-white'
+              : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  )
+}
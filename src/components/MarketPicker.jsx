@@ -0,0 +1,31 @@
+import { ASSETS, withBase } from '../markets'
+
+/**
+ * MarketPicker - Dropdown for the traded asset
+ * 
+ * Switching asset keeps the current quote currency (see QuoteSelector).
+ * An asset opened from a shared link that isn't in the catalog is shown
+ * as an extra option so the select still reflects what's on screen.
+ */
+
+export function MarketPicker({ market, onChange }) {
+  const inCatalog = ASSETS.some(a => a.symbol === market.base)
+
+  return (
+    <select
+      value={market.base}
+      onChange={(e) => onChange(withBase(market, e.target.value))}
+      className="bg-ticker-bg border border-ticker-border rounded-md px-2 py-1 text-sm text-ticker-text hover:border-ticker-muted focus:outline-none cursor-pointer"
+      title="Select asset"
+    >
+      {!inCatalog && (
+        <option value={market.base}>{market.base}</option>
+      )}
+      {ASSETS.map(asset => (
+        <option key={asset.symbol} value={asset.symbol}>
+          {asset.symbol} • {asset.name}
+        </option>
+      ))}
+    </select>
+  )
+}
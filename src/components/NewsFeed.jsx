@@ -1,7 +1,7 @@
 import { useNews, formatRelativeTime } from '../hooks/useNews'
 
 /**
- * NewsFeed Component - ETH news headlines
+ * NewsFeed Component - News headlines for the selected coin
  * 
  * Design decisions:
  * - Horizontal scrolling on mobile, grid on desktop
@@ -11,8 +11,8 @@ import { useNews, formatRelativeTime } from '../hooks/useNews'
  * - Auto-refresh indicator
  */
 
-export function NewsFeed() {
-  const { news, loading, error, lastUpdate, refetch } = useNews(60000) // Refresh every 60s
+export function NewsFeed({ currency = 'ETH' }) {
+  const { news, loading, error, lastUpdate, refetch } = useNews(60000, currency) // Refresh every 60s
 
   return (
     <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden">
@@ -20,7 +20,7 @@ export function NewsFeed() {
       <div className="px-4 py-3 border-b border-ticker-border flex items-center justify-between">
         <div className="flex items-center gap-2">
           <h3 className="text-sm font-medium text-ticker-text">Latest News</h3>
-          <span className="text-xs text-ticker-muted">• ETH</span>
+          <span className="text-xs text-ticker-muted">• {currency}</span>
         </div>
         <div className="flex items-center gap-3">
           {lastUpdate && (
@@ -1,114 +1,188 @@
-import { useCoinbaseOrderBook } from '../hooks/useCoinbaseOrderBook'
-import { formatPrice, formatQuantity } from '../utils/formatters'
+import { useState } from 'react'
+import { useOrderBook } from '../hooks/useOrderBook'
+import { getProvider } from '../providers'
+import { convertLevels, convertSpread } from '../utils/conversion'
+import { groupingOptions } from '../utils/orderBook'
+import { OrderBookHeader, OrderBookLadder, getFeedState } from './OrderBookLadder'
+import { ConsolidatedBook } from './ConsolidatedBook'
+import { DepthChart } from './DepthChart'
+import { SlippageCalculator } from './SlippageCalculator'
+import { BookMetrics } from './BookMetrics'
 
 /**
- * OrderBook Component - Real-time bid/ask depth via Coinbase
+ * OrderBook Component - Real-time bid/ask depth
  * 
- * Now using Coinbase WebSocket - works in USA!
+ * Works with any provider that supports subscribeBook
+ * (Coinbase by default - works in USA!)
+ * 
+ * Views:
+ * - single venue (the configured provider)
+ * - all venues merged into one book, with per-venue breakdown
+ * - cross-venue arbitrage
+ * 
+ * Book views can group levels into coarser price buckets and show
+ * 10-50 rows (scrollable). Grouping is kept as an index into the
+ * market's options, so it carries over sensibly between markets.
+ * Converted markets are grouped in the feed currency.
+ * 
+ * The single-venue view can be drawn as a cumulative depth chart
+ * instead of the ladder (the chart covers the whole book, not just
+ * the visible rows), or swapped for a market-impact calculator that
+ * walks the full, ungrouped book. A metrics strip (imbalance,
+ * microprice, depth) with short sparklines sits above it.
+ * 
+ * Converted markets get their levels scaled into the display quote.
+ * While the book is stale or resyncing the ladder is dimmed - the
+ * levels shown may no longer match the exchange.
  */
 
-export function OrderBook() {
-  const { bids, asks, spread, status } = useCoinbaseOrderBook(10)
+const ROW_OPTIONS = [10, 25, 50]
 
-  // Reverse asks so lowest (best) ask appears at bottom
-  const reversedAsks = [...asks].reverse()
+const DISPLAYS = [
+  { id: 'ladder', label: 'Ladder' },
+  { id: 'depth', label: 'Depth' },
+  { id: 'impact', label: 'Impact' },
+]
 
-  return (
-    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
-      {/* Header */}
-      <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between">
-        <h3 className="text-sm font-medium text-ticker-text">Order Book</h3>
-        <span className={`text-xs ${status === 'connected' ? 'text-ticker-green' : 'text-yellow-500'}`}>
-          {status === 'connected' ? '● Live' : '○ Connecting...'}
-        </span>
-      </div>
+export function OrderBook({ market, rate = 1, provider, venues }) {
+  const [view, setView] = useState('venue')
+  const [groupIndex, setGroupIndex] = useState(0)
+  const [levels, setLevels] = useState(10)
+  const [display, setDisplay] = useState('ladder')
 
-      {/* Column headers */}
-      <div className="grid grid-cols-3 gap-2 px-3 py-1.5 text-xs text-ticker-muted border-b border-ticker-border">
-        <span>Price (USD)</span>
-        <span className="text-right">Amount (ETH)</span>
-        <span className="text-right">Total</span>
-      </div>
+  const grouping = groupingOptions(market.decimals)
+  const venueDisplay = view === 'venue' ? display : 'ladder'
+  // Impact is sized against the exact levels, never grouped ones
+  const tickSize = venueDisplay === 'impact' ? null : grouping[groupIndex].size
 
-      {/* Content */}
-      <div className="flex-1 overflow-hidden flex flex-col">
-        {/* Asks */}
-        <div className="flex-1 overflow-y-auto">
-          {reversedAsks.length > 0 ? (
-            reversedAsks.map((ask, i) => (
-              <OrderRow 
-                key={`ask-${i}`}
-                price={ask.price}
-                quantity={ask.quantity}
-                total={ask.total}
-                depthPercent={ask.depthPercent}
-                type="ask"
-              />
-            ))
-          ) : (
-            <div className="h-full flex items-center justify-center text-ticker-muted text-xs">
-              Loading...
-            </div>
-          )}
-        </div>
+  const views = [
+    { id: 'venue', label: getProvider(provider).name },
+    { id: 'all', label: 'All venues' },
+    { id: 'arb', label: 'Arb' },
+  ]
 
-        {/* Spread */}
-        <div className="px-3 py-2 bg-ticker-bg border-y border-ticker-border">
-          <div className="flex items-center justify-between text-xs">
-            <span className="text-ticker-muted">Spread</span>
-            {spread ? (
-              <span className="font-mono text-ticker-text">
-                ${formatPrice(spread.value, 2)} 
-                <span className="text-ticker-muted ml-1">
-                  ({spread.percent.toFixed(3)}%)
-                </span>
-              </span>
-            ) : (
-              <span className="text-ticker-muted">—</span>
-            )}
-          </div>
-        </div>
+  const toggle = (
+    <div className="flex gap-1 bg-ticker-bg p-0.5 rounded-md">
+      {views.map(v => (
+        <button
+          key={v.id}
+          onClick={() => setView(v.id)}
+          className={`px-1.5 py-0.5 text-[10px] rounded transition-all ${
+            view === v.id 
+              ? 'bg-ticker-card text-white' 
+              : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+        >
+          {v.label}
+        </button>
+      ))}
+    </div>
+  )
 
-        {/* Bids */}
-        <div className="flex-1 overflow-y-auto">
-          {bids.length > 0 ? (
-            bids.map((bid, i) => (
-              <OrderRow 
-                key={`bid-${i}`}
-                price={bid.price}
-                quantity={bid.quantity}
-                total={bid.total}
-                depthPercent={bid.depthPercent}
-                type="bid"
-              />
-            ))
-          ) : (
-            <div className="h-full flex items-center justify-center text-ticker-muted text-xs">
-              Loading...
-            </div>
-          )}
+  const controls = (
+    <div className="px-3 py-1.5 border-b border-ticker-border flex items-center justify-between text-xs text-ticker-muted">
+      <label className={`flex items-center gap-1 ${venueDisplay === 'impact' ? 'invisible' : ''}`}>
+        Group
+        <select
+          value={groupIndex}
+          onChange={(e) => setGroupIndex(Number(e.target.value))}
+          className="bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+        >
+          {grouping.map((option, i) => (
+            <option key={option.label} value={i}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      {view === 'venue' && (
+        <div className="flex gap-1 bg-ticker-bg p-0.5 rounded-md">
+          {DISPLAYS.map(d => (
+            <button
+              key={d.id}
+              onClick={() => setDisplay(d.id)}
+              className={`px-1.5 py-0.5 text-[10px] rounded transition-all ${
+                display === d.id 
+                  ? 'bg-ticker-card text-white' 
+                  : 'text-ticker-muted hover:text-ticker-text'
+              }`}
+            >
+              {d.label}
+            </button>
+          ))}
         </div>
-      </div>
+      )}
+      <label className={`flex items-center gap-1 ${venueDisplay !== 'ladder' ? 'invisible' : ''}`}>
+        Rows
+        <select
+          value={levels}
+          onChange={(e) => setLevels(Number(e.target.value))}
+          className="bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+        >
+          {ROW_OPTIONS.map(count => (
+            <option key={count} value={count}>{count}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
+      {view === 'venue' ? (
+        <VenueBook
+          market={market}
+          rate={rate}
+          provider={provider}
+          levels={levels}
+          tickSize={tickSize}
+          display={venueDisplay}
+          toggle={toggle}
+          controls={controls}
+        />
+      ) : (
+        <ConsolidatedBook
+          market={market}
+          rate={rate}
+          venues={venues}
+          mode={view}
+          levels={levels}
+          tickSize={tickSize}
+          toggle={toggle}
+          controls={controls}
+        />
+      )}
     </div>
   )
 }
 
-function OrderRow({ price, quantity, total, depthPercent, type }) {
-  const isBid = type === 'bid'
-  const textColor = isBid ? 'text-ticker-green' : 'text-ticker-red'
-  const bgColor = isBid ? 'bg-ticker-green/10' : 'bg-ticker-red/10'
+function VenueBook({ market, rate, provider, levels, tickSize, display, toggle, controls }) {
+  const book = useOrderBook(provider, market, levels, tickSize)
+  const feedState = getFeedState(book.status, book.sync)
 
   return (
-    <div className="relative px-3 py-1 hover:bg-ticker-border/30 transition-colors">
-      <div 
-        className={`absolute inset-y-0 ${isBid ? 'left-0' : 'right-0'} ${bgColor} transition-all duration-150`}
-        style={{ width: `${Math.min(depthPercent, 100)}%` }}
+    <>
+      <OrderBookHeader
+        toggle={toggle}
+        badge={<span className={`text-xs whitespace-nowrap ${feedState.className}`}>{feedState.label}</span>}
       />
-      <div className="relative grid grid-cols-3 gap-2 text-xs font-mono">
-        <span className={textColor}>{formatPrice(price, 2)}</span>
-        <span className="text-right text-ticker-text">{formatQuantity(quantity, 4)}</span>
-        <span className="text-right text-ticker-muted">{formatQuantity(total, 2)}</span>
-      </div>
-    </div>
+      <BookMetrics metrics={book.metrics} market={market} rate={rate} />
+      {controls}
+      {display === 'depth' ? (
+        <div className={`flex-1 flex flex-col min-h-0 transition-opacity ${feedState.trusted ? '' : 'opacity-50'}`}>
+          <DepthChart depth={book.depth} market={market} rate={rate} />
+        </div>
+      ) : display === 'impact' ? (
+        <div className={`flex-1 flex flex-col min-h-0 transition-opacity ${feedState.trusted ? '' : 'opacity-50'}`}>
+          <SlippageCalculator depth={book.depth} market={market} rate={rate} />
+        </div>
+      ) : (
+        <OrderBookLadder
+          bids={convertLevels(book.bids, rate)}
+          asks={convertLevels(book.asks, rate)}
+          spread={convertSpread(book.spread, rate)}
+          market={market}
+          trusted={feedState.trusted}
+        />
+      )}
+    </>
   )
 }
@@ -0,0 +1,161 @@
+import { useLayoutEffect, useRef } from 'react'
+import { formatCurrency, formatPrice, formatQuantity } from '../utils/formatters'
+
+/**
+ * OrderBookLadder - Asks / spread / bids body shared by every book view
+ * 
+ * Levels may carry a per-venue breakdown ({ venues: { coinbase: 1.2 } },
+ * see useConsolidatedBook); pass `venueInfo` ({ [id]: { name, color } })
+ * to render it.
+ */
+
+export function OrderBookLadder({ bids, asks, spread, market, trusted = true, venueInfo }) {
+  // Reverse asks so lowest (best) ask appears at bottom
+  const reversedAsks = [...asks].reverse()
+
+  // Keep the best ask in view (next to the spread) when the row count changes
+  const asksRef = useRef(null)
+  useLayoutEffect(() => {
+    if (asksRef.current) {
+      asksRef.current.scrollTop = asksRef.current.scrollHeight
+    }
+  }, [asks.length])
+
+  return (
+    <>
+      {/* Column headers */}
+      <div className="grid grid-cols-3 gap-2 px-3 py-1.5 text-xs text-ticker-muted border-b border-ticker-border">
+        <span>Price ({market.quote})</span>
+        <span className="text-right">Amount ({market.base})</span>
+        <span className="text-right">Total</span>
+      </div>
+
+      {/* Content */}
+      <div className={`flex-1 overflow-hidden flex flex-col transition-opacity ${trusted ? '' : 'opacity-50'}`}>
+        {/* Asks */}
+        <div ref={asksRef} className="flex-1 overflow-y-auto">
+          {reversedAsks.length > 0 ? (
+            reversedAsks.map((ask, i) => (
+              <OrderRow 
+                key={`ask-${i}`}
+                level={ask}
+                market={market}
+                venueInfo={venueInfo}
+                type="ask"
+              />
+            ))
+          ) : (
+            <div className="h-full flex items-center justify-center text-ticker-muted text-xs">
+              Loading...
+            </div>
+          )}
+        </div>
+
+        {/* Spread */}
+        <div className="px-3 py-2 bg-ticker-bg border-y border-ticker-border">
+          <div className="flex items-center justify-between text-xs">
+            <span className="text-ticker-muted">Spread</span>
+            {spread ? (
+              <span className="font-mono text-ticker-text">
+                {formatCurrency(spread.value, market.quote, market.decimals)} 
+                <span className="text-ticker-muted ml-1">
+                  ({spread.percent.toFixed(3)}%)
+                </span>
+              </span>
+            ) : (
+              <span className="text-ticker-muted">—</span>
+            )}
+          </div>
+        </div>
+
+        {/* Bids */}
+        <div className="flex-1 overflow-y-auto">
+          {bids.length > 0 ? (
+            bids.map((bid, i) => (
+              <OrderRow 
+                key={`bid-${i}`}
+                level={bid}
+                market={market}
+                venueInfo={venueInfo}
+                type="bid"
+              />
+            ))
+          ) : (
+            <div className="h-full flex items-center justify-center text-ticker-muted text-xs">
+              Loading...
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  )
+}
+
+/**
+ * Panel header - title, view toggle, feed badge
+ */
+export function OrderBookHeader({ toggle, badge }) {
+  return (
+    <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between gap-2">
+      <h3 className="text-sm font-medium text-ticker-text whitespace-nowrap">Order Book</h3>
+      {toggle}
+      {badge}
+    </div>
+  )
+}
+
+/**
+ * Header badge for socket status + book integrity
+ */
+export function getFeedState(status, sync) {
+  if (status !== 'connected') {
+    return { label: '○ Connecting...', className: 'text-yellow-500', trusted: false }
+  }
+  if (sync === 'stale') {
+    return { label: '● Stale', className: 'text-yellow-500', trusted: false }
+  }
+  if (sync === 'resyncing') {
+    return { label: '↻ Resyncing...', className: 'text-yellow-500', trusted: false }
+  }
+  return { label: '● Live', className: 'text-ticker-green', trusted: true }
+}
+
+function OrderRow({ level, market, venueInfo, type }) {
+  const { price, quantity, total, depthPercent, venues } = level
+  const isBid = type === 'bid'
+  const textColor = isBid ? 'text-ticker-green' : 'text-ticker-red'
+  const bgColor = isBid ? 'bg-ticker-green/10' : 'bg-ticker-red/10'
+
+  const breakdown = venues && venueInfo
+    ? Object.entries(venues).map(([id, size]) => ({ id, size, color: venueInfo[id]?.color, name: venueInfo[id]?.name || id }))
+    : null
+
+  return (
+    <div
+      className="relative px-3 py-1 hover:bg-ticker-border/30 transition-colors"
+      title={breakdown ? breakdown.map(v => `${v.name}: ${formatQuantity(v.size, 4)}`).join('\n') : undefined}
+    >
+      <div 
+        className={`absolute inset-y-0 ${isBid ? 'left-0' : 'right-0'} ${bgColor} transition-all duration-150`}
+        style={{ width: `${Math.min(depthPercent, 100)}%` }}
+      />
+      <div className="relative grid grid-cols-3 gap-2 text-xs font-mono">
+        <span className={textColor}>{formatPrice(price, market.decimals, market.quote)}</span>
+        <span className="text-right text-ticker-text">{formatQuantity(quantity, 4)}</span>
+        <span className="text-right text-ticker-muted">{formatQuantity(total, 2)}</span>
+      </div>
+
+      {/* Per-venue share of this level */}
+      {breakdown && (
+        <div className="absolute inset-x-3 bottom-0 h-0.5 flex">
+          {breakdown.map(v => (
+            <div
+              key={v.id}
+              style={{ width: `${(v.size / quantity) * 100}%`, backgroundColor: v.color }}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
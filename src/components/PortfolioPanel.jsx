@@ -0,0 +1,212 @@
+import { useMemo, useRef, useState } from 'react'
+import { lotPnl, lotsToCSV, parseLotsCSV, summarizePosition } from '../utils/portfolio'
+import { formatCurrency, formatPercent, formatQuantity } from '../utils/formatters'
+
+/**
+ * PortfolioPanel - Position lots with live value and P&L
+ *
+ * - Add holdings (quantity only) or lots with cost per unit and date
+ * - Live market value, unrealized P&L (and %) and the position's 24h change
+ * - CSV import/export of every lot, all markets included
+ *
+ * The average entry is also drawn on the chart.
+ */
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+export function PortfolioPanel({ market, price, open24h, portfolio }) {
+  const { lots, allLots, otherQuoteCount, addLot, removeLot, importLots } = portfolio
+  const [quantity, setQuantity] = useState('')
+  const [cost, setCost] = useState('')
+  const [date, setDate] = useState(today)
+  const [importResult, setImportResult] = useState(null)
+  const fileRef = useRef(null)
+
+  const summary = useMemo(() => summarizePosition(lots, price, open24h), [lots, price, open24h])
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const qty = parseFloat(quantity)
+    if (!(qty > 0)) return
+
+    const unitCost = parseFloat(cost)
+    addLot({
+      quantity: qty,
+      price: unitCost >= 0 ? unitCost : null,
+      date: date || null,
+      note: '',
+    })
+    setQuantity('')
+    setCost('')
+  }
+
+  const handleExport = () => {
+    const blob = new Blob([lotsToCSV(allLots)], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `portfolio-${today()}.csv`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const { lots: imported, errors } = parseLotsCSV(await file.text())
+      importLots(imported)
+      setImportResult({ count: imported.length, errors })
+    } catch (err) {
+      console.error('Failed to import portfolio CSV:', err)
+      setImportResult({ count: 0, errors: ['Could not read file'] })
+    }
+  }
+
+  const pnlColor = value => (value === null ? 'text-ticker-text' : value >= 0 ? 'text-ticker-green' : 'text-ticker-red')
+  const money = value => formatCurrency(value, market.quote, market.decimals)
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
+      {/* Header */}
+      <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <h3 className="text-sm font-medium text-ticker-text">Portfolio</h3>
+          <span className="text-xs text-ticker-muted">• {market.id}</span>
+        </div>
+        <div className="flex items-center gap-3 text-xs">
+          <button onClick={() => fileRef.current.click()} className="text-ticker-muted hover:text-ticker-text">
+            Import CSV
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={!allLots.length}
+            className="text-ticker-muted hover:text-ticker-text disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Export CSV
+          </button>
+          <input ref={fileRef} type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {importResult && (
+        <div className="px-3 py-1.5 border-b border-ticker-border text-xs flex items-start justify-between gap-2">
+          <div>
+            <span className="text-ticker-text">Imported {importResult.count} lots</span>
+            {importResult.errors.length > 0 && (
+              <span className="text-ticker-red" title={importResult.errors.join('\n')}>
+                {' '}• {importResult.errors.length} skipped ({importResult.errors[0]}{importResult.errors.length > 1 ? ', ...' : ''})
+              </span>
+            )}
+          </div>
+          <button onClick={() => setImportResult(null)} className="text-ticker-muted hover:text-ticker-text">×</button>
+        </div>
+      )}
+
+      {/* Summary */}
+      <div className="px-3 py-2 border-b border-ticker-border grid grid-cols-3 gap-2 text-xs">
+        <Stat label="Position" value={`${formatQuantity(summary.quantity)} ${market.base}`} />
+        <Stat label="Value" value={money(summary.marketValue)} />
+        <Stat label="Avg entry" value={money(summary.averageEntry)} />
+        <Stat
+          label="Unrealized P&L"
+          value={money(summary.unrealizedPnl)}
+          className={pnlColor(summary.unrealizedPnl)}
+        />
+        <Stat
+          label="P&L %"
+          value={formatPercent(summary.unrealizedPnlPercent)}
+          className={pnlColor(summary.unrealizedPnlPercent)}
+        />
+        <Stat label="24h change" value={money(summary.change24h)} className={pnlColor(summary.change24h)} />
+      </div>
+
+      {/* New lot */}
+      <form onSubmit={handleSubmit} className="px-3 py-2 border-b border-ticker-border flex flex-wrap items-center gap-1 text-xs">
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          placeholder={`Qty ${market.base}`}
+          className="w-24 bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+        />
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={cost}
+          onChange={(e) => setCost(e.target.value)}
+          placeholder={`Cost/${market.base} (opt.)`}
+          className="w-32 bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+        />
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+        />
+        <button
+          type="submit"
+          disabled={!(parseFloat(quantity) > 0)}
+          className="ml-auto px-2 py-0.5 rounded bg-ticker-bg text-ticker-text hover:text-white disabled:text-ticker-muted disabled:cursor-not-allowed"
+        >
+          Add lot
+        </button>
+      </form>
+
+      {/* Lots */}
+      <div className="px-3 py-1.5 grid grid-cols-5 text-xs text-ticker-muted border-b border-ticker-border">
+        <span>Date</span>
+        <span className="text-right">Qty</span>
+        <span className="text-right">Cost</span>
+        <span className="text-right">P&L</span>
+        <span />
+      </div>
+      <div className="flex-1 overflow-y-auto">
+        {lots.length === 0 ? (
+          <div className="py-6 text-center text-ticker-muted text-xs">
+            No {market.base} lots in {market.quote}
+            {otherQuoteCount > 0 && ` (${otherQuoteCount} in other currencies)`}
+          </div>
+        ) : (
+          lots.map(lot => {
+            const { pnl, pnlPercent } = lotPnl(lot, price)
+            return (
+              <div key={lot.id} className="px-3 py-1 grid grid-cols-5 text-xs font-mono items-center">
+                <span className="text-ticker-muted">{lot.date || '—'}</span>
+                <span className="text-right text-ticker-text">{formatQuantity(lot.quantity)}</span>
+                <span className="text-right text-ticker-text">{money(lot.price)}</span>
+                <span
+                  className={`text-right ${pnlColor(pnl)}`}
+                  title={pnlPercent === null ? undefined : formatPercent(pnlPercent)}
+                >
+                  {money(pnl)}
+                </span>
+                <button
+                  onClick={() => removeLot(lot.id)}
+                  className="text-right text-ticker-muted hover:text-ticker-red"
+                  title="Remove lot"
+                >
+                  ×
+                </button>
+              </div>
+            )
+          })
+        )}
+      </div>
+    </div>
+  )
+}
+
+function Stat({ label, value, className = 'text-ticker-text' }) {
+  return (
+    <div>
+      <div className="text-ticker-muted">{label}</div>
+      <div className={`font-mono ${className}`}>{value}</div>
+    </div>
+  )
+}
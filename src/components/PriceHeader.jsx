@@ -1,13 +1,24 @@
 import { useEffect, useRef, useState } from 'react'
-import { formatPrice, formatPercent, formatVolume } from '../utils/formatters'
+import { MarketPicker } from './MarketPicker'
+import { QuoteSelector } from './QuoteSelector'
+import { formatCurrency, formatPercent, formatVolume } from '../utils/formatters'
 
 /**
- * PriceHeader - The hero component showing live ETH price
+ * PriceHeader - The hero component showing the live price
  * 
- * Now using Coinbase data - works in USA!
- * Shows ETH/USD instead of ETH/USDT
+ * Shows the selected pair (with a picker to switch it) and whichever
+ * exchange is currently feeding the price (flagged when we've failed
+ * over from the primary source)
+ * 
+ * The status goes amber when the ticker has been silent for longer than
+ * SILENT_AFTER, even if the socket is still open.
  */
+
+const SILENT_AFTER = 15000
+
 export function PriceHeader({ 
+  market,
+  onMarketChange,
   price, 
   prevPrice, 
   priceChange, 
@@ -15,10 +26,30 @@ export function PriceHeader({
   high24h, 
   low24h, 
   volume24h,
-  status 
+  quoteVolume24h,
+  status,
+  receivedAt,
+  source,
+  isFallback,
 }) {
   const priceRef = useRef(null)
   const [flashClass, setFlashClass] = useState('')
+  const [now, setNow] = useState(Date.now())
+  const connectedAtRef = useRef(null)
+
+  // Silence counts from the last tick, or from (re)connecting if later
+  useEffect(() => {
+    connectedAtRef.current = status === 'connected' ? Date.now() : null
+  }, [status])
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const lastActivity = Math.max(receivedAt || 0, connectedAtRef.current || 0)
+  const silentFor = status === 'connected' && lastActivity ? now - lastActivity : 0
+  const isSilent = silentFor > SILENT_AFTER
   
   // Flash effect when price changes
   useEffect(() => {
@@ -41,21 +72,26 @@ export function PriceHeader({
         <div className="flex items-center justify-between flex-wrap gap-4">
           {/* Logo and name */}
           <div className="flex items-center gap-3">
-            <div className="w-10 h-10 rounded-full bg-[#627EEA] flex items-center justify-center">
-              <svg viewBox="0 0 32 32" className="w-6 h-6">
-                <g fill="#fff">
-                  <polygon fillOpacity=".6" points="16 4 16 12.87 23 16.17"/>
-                  <polygon points="16 4 9 16.17 16 12.87"/>
-                  <polygon fillOpacity=".6" points="16 21.96 16 28 23 17.61"/>
-                  <polygon points="16 28 16 21.96 9 17.61"/>
-                  <polygon fillOpacity=".2" points="16 20.57 23 16.17 16 12.87"/>
-                  <polygon fillOpacity=".6" points="9 16.17 16 20.57 16 12.87"/>
-                </g>
-              </svg>
-            </div>
+            <AssetLogo market={market} />
             <div>
-              <h1 className="text-xl font-semibold text-white">Ethereum</h1>
-              <span className="text-ticker-muted text-sm">ETH/USD • Coinbase</span>
+              <div className="flex items-center gap-2">
+                <h1 className="text-xl font-semibold text-white">{market.name}</h1>
+                <MarketPicker market={market} onChange={onMarketChange} />
+                <QuoteSelector market={market} onChange={onMarketChange} />
+              </div>
+              <span className="text-ticker-muted text-sm">
+                {market.base}/{market.quote} • {source || '—'}
+                {market.converted && (
+                  <span className="ml-2 text-xs" title={`Streamed as ${market.productId}, converted at the live rate`}>
+                    (via {market.feedQuote})
+                  </span>
+                )}
+                {isFallback && (
+                  <span className="ml-2 text-xs text-yellow-500" title="Primary feed unavailable">
+                    fallback
+                  </span>
+                )}
+              </span>
             </div>
           </div>
           
@@ -65,10 +101,10 @@ export function PriceHeader({
             className={`text-right ${flashClass} rounded px-3 py-1 transition-colors`}
           >
             <div className="price-display text-4xl md:text-5xl font-bold text-white">
-              ${price ? formatPrice(price) : '—'}
+              {price ? formatCurrency(price, market.quote, market.decimals) : '—'}
             </div>
             <div className={`price-display text-lg ${changeColor} mt-1`}>
-              {formatPercent(priceChangePercent)} ({priceChange >= 0 ? '+' : ''}${formatPrice(Math.abs(priceChange))})
+              {formatPercent(priceChangePercent)} ({priceChange >= 0 ? '+' : '-'}{formatCurrency(Math.abs(priceChange), market.quote, market.decimals)})
             </div>
           </div>
         </div>
@@ -77,22 +113,22 @@ export function PriceHeader({
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4 pt-4 border-t border-ticker-border">
           <StatItem 
             label="24h Volume" 
-            value={volume24h ? `${formatVolume(volume24h * price)} (${formatQuantityShort(volume24h)} ETH)` : '—'} 
+            value={volume24h ? `${formatVolume(quoteVolume24h ?? volume24h * price, market.quote)} (${formatQuantityShort(volume24h)} ${market.base})` : '—'} 
           />
           <StatItem 
             label="24h High" 
-            value={`$${formatPrice(high24h)}`}
+            value={formatCurrency(high24h, market.quote, market.decimals)}
             valueClass="text-ticker-green" 
           />
           <StatItem 
             label="24h Low" 
-            value={`$${formatPrice(low24h)}`}
+            value={formatCurrency(low24h, market.quote, market.decimals)}
             valueClass="text-ticker-red" 
           />
           <StatItem 
             label="Status" 
-            value={status === 'connected' ? '● Live' : status === 'error' ? '● Error' : '○ Connecting...'}
-            valueClass={status === 'connected' ? 'text-ticker-green' : status === 'error' ? 'text-ticker-red' : 'text-yellow-500'} 
+            value={isSilent ? `● Silent ${Math.round(silentFor / 1000)}s` : status === 'connected' ? '● Live' : status === 'error' ? '● Error' : '○ Connecting...'}
+            valueClass={isSilent ? 'text-yellow-500' : status === 'connected' ? 'text-ticker-green' : status === 'error' ? 'text-ticker-red' : 'text-yellow-500'} 
           />
         </div>
       </div>
@@ -100,6 +136,33 @@ export function PriceHeader({
   )
 }
 
+/**
+ * Coin logo - the Ethereum diamond for ETH, a colored ticker badge otherwise
+ */
+function AssetLogo({ market }) {
+  return (
+    <div
+      className="w-10 h-10 rounded-full flex items-center justify-center shrink-0"
+      style={{ backgroundColor: market.color }}
+    >
+      {market.base === 'ETH' ? (
+        <svg viewBox="0 0 32 32" className="w-6 h-6">
+          <g fill="#fff">
+            <polygon fillOpacity=".6" points="16 4 16 12.87 23 16.17"/>
+            <polygon points="16 4 9 16.17 16 12.87"/>
+            <polygon fillOpacity=".6" points="16 21.96 16 28 23 17.61"/>
+            <polygon points="16 28 16 21.96 9 17.61"/>
+            <polygon fillOpacity=".2" points="16 20.57 23 16.17 16 12.87"/>
+            <polygon fillOpacity=".6" points="9 16.17 16 20.57 16 12.87"/>
+          </g>
+        </svg>
+      ) : (
+        <span className="text-white text-xs font-bold">{market.base.slice(0, 4)}</span>
+      )}
+    </div>
+  )
+}
+
 function StatItem({ label, value, valueClass = 'text-white' }) {
   return (
     <div className="text-center md:text-left">
@@ -0,0 +1,28 @@
+import { QUOTE_CURRENCIES, withQuote } from '../markets'
+
+/**
+ * QuoteSelector - Pill buttons for the quote currency
+ * 
+ * Same look as TimeframeSelector. The base asset itself is hidden
+ * (no BTC/BTC).
+ */
+
+export function QuoteSelector({ market, onChange }) {
+  return (
+    <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+      {QUOTE_CURRENCIES.filter(quote => quote !== market.base).map(quote => (
+        <button
+          key={quote}
+          onClick={() => onChange(withQuote(market, quote))}
+          className={`px-2 py-0.5 text-xs rounded transition-all ${
+            market.quote === quote 
+              ? 'bg-ticker-card text-white' 
+              : 'text-ticker-muted hover:text-ticker-text'
+          }`}
+        >
+          {quote}
+        </button>
+      ))}
+    </div>
+  )
+}
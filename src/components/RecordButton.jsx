@@ -0,0 +1,86 @@
+import { useRecorder } from '../hooks/useRecorder'
+import { MAX_BYTES, WARN_BYTES } from '../providers/recorder'
+
+/**
+ * RecordButton - Capture the raw Coinbase feed to a downloadable file
+ *
+ * Records until stopped, then saves the NDJSON (see providers/recorder.js)
+ * - attach it to a bug report, or load it back with "Replay a session".
+ * The size goes amber near the limit; a capture that hit it has stopped
+ * and waits here to be saved.
+ *
+ * Stays up during a replay while a capture is running or unsaved (only
+ * starting a new one is hidden), so it can always be stopped and saved.
+ */
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+function formatElapsed(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000))
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+export function RecordButton({ replaying = false }) {
+  const recorder = useRecorder()
+
+  const handleStop = () => {
+    const capture = recorder.stop()
+    if (!capture) return
+
+    const stamp = new Date(capture.startedAt).toISOString().slice(0, 19).replace(/:/g, '-')
+    const url = URL.createObjectURL(capture.blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `coinbase-${capture.products.join('_') || 'session'}-${stamp}.ndjson`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  if (recorder.pending) {
+    return (
+      <button
+        onClick={handleStop}
+        title={`Recording stopped at the ${formatBytes(MAX_BYTES)} limit`}
+        className="px-2 py-1 text-xs rounded-md bg-yellow-500/10 text-yellow-500 hover:bg-yellow-500/20 transition-colors"
+      >
+        ● Limit reached · {recorder.messages.toLocaleString()} msgs · ⤓ Save
+      </button>
+    )
+  }
+
+  if (!recorder.recording) {
+    if (replaying) return null
+    return (
+      <button
+        onClick={recorder.start}
+        title="Record the raw Coinbase feed to a file"
+        className="px-2 py-1 text-xs rounded-md text-ticker-muted hover:text-ticker-text hover:bg-ticker-bg transition-colors"
+      >
+        <span className="text-ticker-red">●</span> Record
+      </button>
+    )
+  }
+
+  return (
+    <button
+      onClick={handleStop}
+      title="Stop and save the recording"
+      className="px-2 py-1 text-xs rounded-md bg-ticker-red/10 text-ticker-red hover:bg-ticker-red/20 transition-colors font-mono"
+    >
+      <span className="animate-pulse">●</span> {formatElapsed(Date.now() - recorder.startedAt)}
+      <span className="text-ticker-muted ml-2">
+        {recorder.messages.toLocaleString()} msgs ·{' '}
+        <span
+          className={recorder.bytes >= WARN_BYTES ? 'text-yellow-500' : undefined}
+          title={recorder.bytes >= WARN_BYTES ? `Stops at ${formatBytes(MAX_BYTES)}` : undefined}
+        >
+          {formatBytes(recorder.bytes)}
+        </span>
+      </span>
+      <span className="font-sans ml-2">■ Stop & save</span>
+    </button>
+  )
+}
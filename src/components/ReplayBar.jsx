@@ -0,0 +1,127 @@
+import { useState } from 'react'
+import { REPLAY_SPEEDS } from '../providers/replay'
+import { formatTime } from '../utils/formatters'
+
+/**
+ * ReplayBar - Load and play back a recorded session
+ *
+ * Without a recording it's just the "Replay a session" file picker.
+ * With one: play/pause, speed pills, a scrubber over the recording
+ * (seeks on release - every panel restarts from there) and Exit back
+ * to live data. While a replay is loaded the whole dashboard is fed
+ * from it (see REPLAY_PROVIDER_CONFIG).
+ */
+
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000))
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+export function ReplayBar({ replay, market, onMarketChange }) {
+  const [error, setError] = useState(null)
+  // Scrubber position while dragging, null otherwise
+  const [scrubbing, setScrubbing] = useState(null)
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const { products } = replay.load(await file.text(), file.name)
+      setError(null)
+
+      // Switch to a recorded pair if the current one wasn't recorded
+      if (products.length && !products.includes(market.productId)) onMarketChange(products[0])
+    } catch (err) {
+      console.error('Failed to load recording:', err)
+      setError(err.message)
+    }
+  }
+
+  const commitScrub = () => {
+    if (scrubbing === null) return
+    replay.seek(scrubbing)
+    setScrubbing(null)
+  }
+
+  const picker = (
+    <label className="px-2 py-1 text-xs rounded-md cursor-pointer text-ticker-muted hover:text-ticker-text hover:bg-ticker-bg transition-colors">
+      {replay.active ? 'Load…' : '⏵ Replay a session'}
+      <input type="file" accept=".ndjson,.jsonl,.json,.txt" onChange={handleFile} className="hidden" />
+    </label>
+  )
+
+  if (!replay.active) {
+    return (
+      <div className="flex items-center justify-end gap-3 text-xs">
+        {error && <span className="text-ticker-red">{error}</span>}
+        {picker}
+      </div>
+    )
+  }
+
+  const position = scrubbing ?? replay.position
+
+  return (
+    <div className="bg-ticker-card border border-purple-500/40 rounded-lg px-3 py-2 flex flex-wrap items-center gap-3 text-xs">
+      <span className="font-medium text-purple-400 whitespace-nowrap">● Replay</span>
+      <span className="text-ticker-muted truncate max-w-[12rem]" title={replay.fileName || undefined}>
+        {replay.fileName || 'Recording'} · {replay.products.join(', ')}
+      </span>
+
+      <button
+        onClick={replay.playing ? replay.pause : replay.play}
+        className="w-16 px-2 py-1 rounded-md bg-ticker-bg text-ticker-text hover:text-white transition-colors"
+      >
+        {replay.playing ? '❚❚ Pause' : '▶ Play'}
+      </button>
+
+      <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+        {REPLAY_SPEEDS.map(speed => (
+          <button
+            key={speed}
+            onClick={() => replay.setSpeed(speed)}
+            className={`
+              px-2 py-0.5 rounded-md transition-all
+              ${replay.speed === speed
+                ? 'bg-ticker-card text-white shadow-sm'
+                : 'text-ticker-muted hover:text-ticker-text hover:bg-ticker-card/50'
+              }
+            `}
+          >
+            {speed}x
+          </button>
+        ))}
+      </div>
+
+      <div className="flex-1 min-w-[12rem] flex items-center gap-2 font-mono text-ticker-muted">
+        <span className="text-ticker-text">{formatTime(position)}</span>
+        <input
+          type="range"
+          min={replay.start}
+          max={replay.end}
+          step={100}
+          value={position}
+          onChange={(e) => setScrubbing(Number(e.target.value))}
+          onPointerUp={commitScrub}
+          onKeyUp={commitScrub}
+          className="flex-1 accent-purple-500"
+        />
+        <span>
+          {formatDuration(position - replay.start)} / {formatDuration(replay.end - replay.start)}
+        </span>
+      </div>
+
+      {error && <span className="text-ticker-red">{error}</span>}
+      {picker}
+      <button
+        onClick={replay.exit}
+        className="px-2 py-1 rounded-md text-ticker-muted hover:text-ticker-text hover:bg-ticker-bg transition-colors"
+      >
+        Exit
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,145 @@
+import { useMemo, useState } from 'react'
+import { simulateMarketOrder } from '../utils/orderBook'
+import { formatCurrency, formatPrice, formatQuantity } from '../utils/formatters'
+
+/**
+ * SlippageCalculator - What a market order would cost against the live book
+ *
+ * Walks the full (ungrouped) book for a hypothetical buy or sell sized in
+ * either the base asset or the quote currency, and recalculates as the
+ * book moves. Only the depth the feed exposes is known - an order larger
+ * than that is flagged rather than extrapolated.
+ */
+
+const SIDES = [
+  { id: 'buy', label: 'Buy' },
+  { id: 'sell', label: 'Sell' },
+]
+
+export function SlippageCalculator({ depth, market, rate = 1 }) {
+  const [side, setSide] = useState('buy')
+  const [unit, setUnit] = useState('base')
+  const [amount, setAmount] = useState('')
+
+  const parsed = parseFloat(amount)
+
+  // The book is in feed currency: convert the quote amount in, prices out
+  const result = useMemo(() => {
+    const bestBid = depth.bids[0]?.price
+    const bestAsk = depth.asks[0]?.price
+    if (!bestBid || !bestAsk || rate === null || !(parsed > 0)) return null
+
+    const mid = (bestBid + bestAsk) / 2
+    const levels = side === 'buy' ? depth.asks : depth.bids
+    const size = unit === 'quote' ? parsed / rate : parsed
+    const fill = simulateMarketOrder(side, levels, size, unit, mid)
+    if (!fill) return null
+
+    return {
+      ...fill,
+      mid: mid * rate,
+      avgPrice: fill.avgPrice * rate,
+      worstPrice: fill.worstPrice * rate,
+      filledQuote: fill.filledQuote * rate,
+      available: levels.length,
+    }
+  }, [depth, side, unit, parsed, rate])
+
+  const price = value => formatPrice(value, market.decimals, market.quote)
+  const sideColor = side === 'buy' ? 'text-ticker-green' : 'text-ticker-red'
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0 text-xs">
+      {/* Order */}
+      <div className="px-3 py-2 border-b border-ticker-border space-y-2">
+        <div className="flex gap-1 bg-ticker-bg p-0.5 rounded-md">
+          {SIDES.map(s => (
+            <button
+              key={s.id}
+              onClick={() => setSide(s.id)}
+              className={`flex-1 py-1 rounded transition-all ${
+                side === s.id
+                  ? `bg-ticker-card ${s.id === 'buy' ? 'text-ticker-green' : 'text-ticker-red'}`
+                  : 'text-ticker-muted hover:text-ticker-text'
+              }`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-1">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="Amount"
+            className="flex-1 min-w-0 bg-ticker-bg border border-ticker-border rounded px-2 py-1 text-ticker-text font-mono focus:outline-none"
+          />
+          <div className="flex gap-1 bg-ticker-bg p-0.5 rounded-md">
+            {[market.base, market.quote].map((label, i) => {
+              const id = i === 0 ? 'base' : 'quote'
+              return (
+                <button
+                  key={id}
+                  onClick={() => setUnit(id)}
+                  className={`px-1.5 py-0.5 text-[10px] rounded transition-all ${
+                    unit === id
+                      ? 'bg-ticker-card text-white'
+                      : 'text-ticker-muted hover:text-ticker-text'
+                  }`}
+                >
+                  {label}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      </div>
+
+      {/* Estimate */}
+      <div className="flex-1 overflow-y-auto px-3 py-2">
+        {!result ? (
+          <div className="py-8 text-center text-ticker-muted">
+            {rate === null || !depth.bids.length ? 'Loading...' : `Enter a size to estimate a market ${side}`}
+          </div>
+        ) : (
+          <div className="space-y-1.5 font-mono">
+            {result.exceedsDepth && (
+              <div className="mb-2 px-2 py-1 rounded bg-yellow-500/10 text-yellow-500 font-sans">
+                Order exceeds visible depth - only {formatQuantity(result.filledBase, 4)} {market.base} could fill
+              </div>
+            )}
+            <Row label="Mid">{price(result.mid)}</Row>
+            <Row label="Avg fill">
+              <span className={sideColor}>{price(result.avgPrice)}</span>
+            </Row>
+            <Row label="Worst price">{price(result.worstPrice)}</Row>
+            <Row label="Slippage">
+              <span className={result.slippageBps > 0 ? 'text-yellow-500' : 'text-ticker-text'}>
+                {result.slippageBps.toFixed(1)} bps
+              </span>
+            </Row>
+            <Row label="Levels">{result.levelsConsumed} / {result.available}</Row>
+            <Row label="Filled">
+              {formatQuantity(result.filledBase, 4)} {market.base}
+            </Row>
+            <Row label={side === 'buy' ? 'Cost' : 'Proceeds'}>
+              {formatCurrency(result.filledQuote, market.quote, market.decimals)}
+            </Row>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function Row({ label, children }) {
+  return (
+    <div className="flex items-center justify-between">
+      <span className="text-ticker-muted font-sans">{label}</span>
+      <span className="text-ticker-text">{children}</span>
+    </div>
+  )
+}
@@ -1,30 +1,64 @@
+import { AUTO_INTERVAL, INTERVALS, MAX_BARS, TIMEFRAMES, barCount, isIntervalAllowed } from '../timeframes'
+
 /**
- * TimeframeSelector - Tab-style buttons for chart timeframe
+ * TimeframeSelector - Tab-style buttons for chart range and candle interval
  * 
  * Design: Minimal, pill-style buttons that match the dark theme
  * Behavior: Instant switch (data fetches in background)
+ * 
+ * Intervals that don't fit the selected range (too many or too few
+ * bars, see src/timeframes.js) are disabled.
  */
 
-const TIMEFRAMES = ['24H', '7D', '30D', '6M', '1Y', '2Y', '3Y', '5Y', '10Y']
+const INTERVAL_OPTIONS = [AUTO_INTERVAL, ...Object.keys(INTERVALS)]
 
-export function TimeframeSelector({ selected, onChange }) {
+export function TimeframeSelector({ selected, onChange, interval, onIntervalChange }) {
   return (
-    <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg overflow-x-auto">
-      {TIMEFRAMES.map(tf => (
-        <button
-          key={tf}
-          onClick={() => onChange(tf)}
-          className={`
-            px-2 py-1.5 text-xs font-medium rounded-md transition-all whitespace-nowrap
-            ${selected === tf 
-              ? 'bg-ticker-card text-white shadow-sm' 
-              : 'text-ticker-muted hover:text-ticker-text hover:bg-ticker-card/50'
-            }
-          `}
-        >
-          {tf}
-        </button>
-      ))}
+    <div className="flex items-center gap-2 overflow-x-auto">
+      <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+        {TIMEFRAMES.map(tf => (
+          <button
+            key={tf}
+            onClick={() => onChange(tf)}
+            className={`
+              px-2 py-1.5 text-xs font-medium rounded-md transition-all whitespace-nowrap
+              ${selected === tf 
+                ? 'bg-ticker-card text-white shadow-sm' 
+                : 'text-ticker-muted hover:text-ticker-text hover:bg-ticker-card/50'
+              }
+            `}
+          >
+            {tf}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-1 bg-ticker-bg p-1 rounded-lg">
+        {INTERVAL_OPTIONS.map(id => {
+          const allowed = isIntervalAllowed(selected, id)
+          const bars = id === AUTO_INTERVAL ? null : barCount(selected, id)
+
+          return (
+            <button
+              key={id}
+              onClick={() => onIntervalChange(id)}
+              disabled={!allowed}
+              title={allowed ? undefined : `${bars} bars - ${bars > MAX_BARS ? 'pick a shorter range' : 'pick a longer range'}`}
+              className={`
+                px-2 py-1.5 text-xs font-medium rounded-md transition-all whitespace-nowrap
+                ${interval === id 
+                  ? 'bg-ticker-card text-white shadow-sm' 
+                  : allowed
+                    ? 'text-ticker-muted hover:text-ticker-text hover:bg-ticker-card/50'
+                    : 'text-ticker-muted/40 cursor-not-allowed'
+                }
+              `}
+            >
+              {id === AUTO_INTERVAL ? 'Auto' : id}
+            </button>
+          )
+        })}
+      </div>
     </div>
   )
 }
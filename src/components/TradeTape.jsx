@@ -0,0 +1,179 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useTrades } from '../hooks/useTrades'
+import { summarizePressure } from '../utils/trades'
+import { now as marketNow } from '../utils/clock'
+import { formatCurrency, formatPrice, formatQuantity, formatTime } from '../utils/formatters'
+
+/**
+ * TradeTape Component - Live time & sales
+ *
+ * - Newest print on top, side-colored by the taker (green = bought the offer)
+ * - Min size: prints at or above it are highlighted as whales, and
+ *   "Whales only" hides everything smaller. Kept per base asset -
+ *   10 BTC and 10 DOGE are very different trades.
+ * - Pressure bar: taker buy vs sell notional over a rolling window
+ *
+ * Converted markets show prices and notional in the display quote;
+ * sizes are always base currency.
+ */
+
+const WINDOWS = [
+  { label: '1m', ms: 60 * 1000 },
+  { label: '5m', ms: 5 * 60 * 1000 },
+  { label: '15m', ms: 15 * 60 * 1000 },
+]
+
+// Rows rendered - the hook keeps more for the pressure windows
+const MAX_ROWS = 100
+
+export function TradeTape({ market, rate = 1, provider }) {
+  const { trades, status, source } = useTrades(provider, market)
+  const [minSizes, setMinSizes] = useState({})
+  const [whalesOnly, setWhalesOnly] = useState(false)
+  const [windowIndex, setWindowIndex] = useState(0)
+  const [now, setNow] = useState(marketNow())
+
+  const minSize = minSizes[market.base] ?? ''
+  const threshold = parseFloat(minSize) || 0
+
+  // Roll the pressure window forward even when nothing trades
+  useEffect(() => {
+    const timer = setInterval(() => setNow(marketNow()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const pressure = useMemo(
+    () => summarizePressure(trades, WINDOWS[windowIndex].ms, now),
+    [trades, windowIndex, now]
+  )
+
+  const rows = useMemo(() => {
+    const visible = whalesOnly && threshold ? trades.filter(trade => trade.size >= threshold) : trades
+    return visible.slice(0, MAX_ROWS)
+  }, [trades, whalesOnly, threshold])
+
+  const scale = value => (rate === null ? null : value * rate)
+  const buyPercent = pressure.buyShare !== null ? pressure.buyShare * 100 : 50
+
+  return (
+    <div className="bg-ticker-card border border-ticker-border rounded-lg overflow-hidden h-full flex flex-col">
+      {/* Header */}
+      <div className="px-3 py-2 border-b border-ticker-border flex items-center justify-between">
+        <h3 className="text-sm font-medium text-ticker-text">Trades</h3>
+        <span className={`text-xs ${status === 'connected' ? 'text-ticker-green' : 'text-yellow-500'}`}>
+          {status === 'connected' ? `● ${source}` : '○ Connecting...'}
+        </span>
+      </div>
+
+      {/* Filters */}
+      <div className="px-3 py-1.5 border-b border-ticker-border flex items-center justify-between text-xs text-ticker-muted">
+        <label className="flex items-center gap-1">
+          Min
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={minSize}
+            placeholder="size"
+            onChange={(e) => setMinSizes(prev => ({ ...prev, [market.base]: e.target.value }))}
+            className="w-16 bg-ticker-bg border border-ticker-border rounded px-1 py-0.5 text-ticker-text font-mono focus:outline-none"
+          />
+          {market.base}
+        </label>
+        <label className="flex items-center gap-1 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={whalesOnly}
+            onChange={(e) => setWhalesOnly(e.target.checked)}
+            className="accent-ticker-green"
+          />
+          Whales only
+        </label>
+      </div>
+
+      {/* Pressure */}
+      <div className="px-3 py-2 border-b border-ticker-border text-xs">
+        <div className="flex items-center justify-between mb-1">
+          <span className="text-ticker-green font-mono">
+            {formatCurrency(scale(pressure.buyNotional), market.quote, market.notionalDecimals)}
+          </span>
+          <div className="flex gap-1 bg-ticker-bg p-0.5 rounded-md">
+            {WINDOWS.map((w, i) => (
+              <button
+                key={w.label}
+                onClick={() => setWindowIndex(i)}
+                className={`px-1.5 py-0.5 text-[10px] rounded transition-all ${
+                  windowIndex === i
+                    ? 'bg-ticker-card text-white'
+                    : 'text-ticker-muted hover:text-ticker-text'
+                }`}
+              >
+                {w.label}
+              </button>
+            ))}
+          </div>
+          <span className="text-ticker-red font-mono">
+            {formatCurrency(scale(pressure.sellNotional), market.quote, market.notionalDecimals)}
+          </span>
+        </div>
+        <div
+          className="h-1.5 rounded-full bg-ticker-red/60 overflow-hidden"
+          title={`${pressure.buyCount} buys / ${pressure.sellCount} sells`}
+        >
+          <div
+            className="h-full bg-ticker-green/80 transition-all duration-300"
+            style={{ width: `${buyPercent}%` }}
+          />
+        </div>
+      </div>
+
+      {/* Column headers */}
+      <div className="px-3 py-1.5 grid grid-cols-4 text-xs text-ticker-muted border-b border-ticker-border">
+        <span>Time</span>
+        <span className="text-right">Price</span>
+        <span className="text-right">Size</span>
+        <span className="text-right">Total</span>
+      </div>
+
+      {/* Tape */}
+      <div className="flex-1 overflow-y-auto">
+        {rows.length === 0 ? (
+          <div className="py-8 text-center text-ticker-muted text-xs">
+            {trades.length === 0 ? 'Waiting for trades...' : 'No trades above min size'}
+          </div>
+        ) : (
+          rows.map(trade => (
+            <TradeRow
+              key={trade.id}
+              trade={trade}
+              market={market}
+              rate={rate}
+              isWhale={threshold > 0 && trade.size >= threshold}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
+
+function TradeRow({ trade, market, rate, isWhale }) {
+  const isBuy = trade.side === 'buy'
+  const price = rate === null ? null : trade.price * rate
+  const notional = price === null ? null : price * trade.size
+
+  return (
+    <div
+      className={`px-3 py-0.5 grid grid-cols-4 text-xs font-mono ${
+        isWhale ? (isBuy ? 'bg-ticker-green/15 font-semibold' : 'bg-ticker-red/15 font-semibold') : ''
+      }`}
+    >
+      <span className="text-ticker-muted">{formatTime(trade.time)}</span>
+      <span className={`text-right ${isBuy ? 'text-ticker-green' : 'text-ticker-red'}`}>
+        {formatPrice(price, market.decimals, market.quote)}
+      </span>
+      <span className="text-right text-ticker-text">{formatQuantity(trade.size)}</span>
+      <span className="text-right text-ticker-muted">{formatCurrency(notional, market.quote, market.notionalDecimals)}</span>
+    </div>
+  )
+}
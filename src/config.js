@@ -0,0 +1,31 @@
+/**
+ * App configuration
+ * 
+ * Which provider feeds each panel (see src/providers).
+ * Override per deploy with Vite env vars, e.g. VITE_BOOK_PROVIDER=binance
+ * 
+ * price is a failover chain - first healthy source wins,
+ * e.g. VITE_PRICE_PROVIDER=coinbase,coingecko
+ */
+
+export const PROVIDER_CONFIG = {
+  price: (import.meta.env.VITE_PRICE_PROVIDER || 'coinbase,binance,coingecko').split(','),
+  orderBook: import.meta.env.VITE_BOOK_PROVIDER || 'coinbase',
+  trades: import.meta.env.VITE_TRADES_PROVIDER || 'coinbase',
+  candles: import.meta.env.VITE_CANDLE_PROVIDER || 'coingecko',
+  // Candles at a user-picked interval (needs explicit granularity)
+  intervalCandles: import.meta.env.VITE_INTERVAL_CANDLE_PROVIDER || 'coinbase',
+  // Venues merged in the order book's "All venues" view
+  consolidatedBook: (import.meta.env.VITE_CONSOLIDATED_BOOK_PROVIDERS || 'coinbase,binance').split(','),
+}
+
+// While a recording is replayed (see src/providers/replay.js) every
+// panel is fed from it instead
+export const REPLAY_PROVIDER_CONFIG = {
+  price: ['replay'],
+  orderBook: 'replay',
+  trades: 'replay',
+  candles: 'replay',
+  intervalCandles: 'replay',
+  consolidatedBook: ['replay'],
+}
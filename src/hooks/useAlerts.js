@@ -0,0 +1,117 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react'
+import { createAlert } from '../alerts'
+import { checkAlert } from '../utils/alerts'
+import { loadJSON, saveJSON } from '../utils/storage'
+import {
+  notificationPermission,
+  playChime,
+  requestNotificationPermission,
+  showNotification,
+  unlockAudio,
+} from '../utils/notifications'
+
+/**
+ * Hook for price alerts on the selected market
+ *
+ * Alerts for every market live in one persisted list; only the selected
+ * market's are checked (it's the only live stream we have). Each ticker
+ * is checked against the armed alerts - see utils/alerts.js - and
+ * anything that fires is marked triggered, notified and chimed.
+ *
+ * Returns the selected market's alerts plus add/remove/rearm and the
+ * notification permission state.
+ */
+
+const STORAGE_KEY = 'alerts'
+// Price history kept for % move alerts, at least this long
+const MIN_HISTORY = 60 * 60 * 1000
+
+export function useAlerts(market, ticker) {
+  const [alerts, setAlerts] = useState(() => loadJSON(STORAGE_KEY, []))
+  const [permission, setPermission] = useState(notificationPermission)
+
+  const prevRef = useRef(null)
+  const historyRef = useRef([])
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, alerts)
+  }, [alerts])
+
+  // Audio needs a user gesture - alerts restored from storage would
+  // otherwise fire silently until one is created
+  useEffect(() => {
+    document.addEventListener('pointerdown', unlockAudio, { once: true })
+    return () => document.removeEventListener('pointerdown', unlockAudio)
+  }, [])
+
+  // A new market (or quote) starts a fresh price history
+  useEffect(() => {
+    prevRef.current = null
+    historyRef.current = []
+  }, [market.id])
+
+  useEffect(() => {
+    if (!ticker.price) return
+
+    const now = Date.now()
+    const longest = Math.max(MIN_HISTORY, ...alerts.map(alert => (alert.minutes || 0) * 60 * 1000))
+    const history = historyRef.current.filter(sample => sample.time >= now - longest)
+    history.push({ time: now, price: ticker.price })
+    historyRef.current = history
+
+    const fired = new Map()
+    alerts.forEach(alert => {
+      if (alert.marketId !== market.id || alert.triggeredAt) return
+      const message = checkAlert(alert, ticker, prevRef.current, history, market, now)
+      if (message) fired.set(alert.id, message)
+    })
+    prevRef.current = ticker
+
+    if (!fired.size) return
+
+    setAlerts(prev => prev.map(alert => (
+      fired.has(alert.id) ? { ...alert, triggeredAt: now, message: fired.get(alert.id) } : alert
+    )))
+    fired.forEach(message => showNotification(`${market.id} alert`, message))
+    playChime()
+  }, [ticker])
+
+  const addAlert = useCallback((type, value, minutes) => {
+    // Created from a click - the one chance to unlock audio and ask to notify
+    unlockAudio()
+    if (notificationPermission() === 'default') {
+      requestNotificationPermission().then(setPermission)
+    }
+    setAlerts(prev => [...prev, createAlert(market.id, type, value, minutes)])
+  }, [market.id])
+
+  const removeAlert = useCallback((id) => {
+    setAlerts(prev => prev.filter(alert => alert.id !== id))
+  }, [])
+
+  const rearmAlert = useCallback((id) => {
+    unlockAudio()
+    setAlerts(prev => prev.map(alert => (
+      alert.id === id ? { ...alert, triggeredAt: null, message: null } : alert
+    )))
+  }, [])
+
+  const requestPermission = useCallback(() => {
+    unlockAudio()
+    requestNotificationPermission().then(setPermission)
+  }, [])
+
+  const marketAlerts = useMemo(
+    () => alerts.filter(alert => alert.marketId === market.id),
+    [alerts, market.id]
+  )
+
+  return {
+    alerts: marketAlerts,
+    addAlert,
+    removeAlert,
+    rearmAlert,
+    permission,
+    requestPermission,
+  }
+}
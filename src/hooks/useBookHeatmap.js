@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef } from 'react'
+import { getProvider } from '../providers'
+import { subscribeLocalBook } from '../providers/localBook'
+import { bestPrice } from '../utils/orderBook'
+import { createRingBuffer, heatmapBucketSize, sampleColumn } from '../utils/heatmap'
+
+/**
+ * Hook that samples the local order book into liquidity heatmap columns
+ * (see utils/heatmap.js)
+ *
+ * Every SAMPLE_INTERVAL the live book maps are bucketed around mid and
+ * pushed onto a ring buffer with the last price at that moment. The
+ * maps are the ones the order book panel already keeps (local books
+ * are shared, see providers/localBook.js), and the price is the live
+ * ticker's - the heatmap opens no streams of its own.
+ * The buffer holds CAPACITY columns, so an all-day session uses the
+ * same memory as a five-minute one.
+ *
+ * Columns live in a ref (far too big to copy into state every second);
+ * `version` changes after each sample so the view knows to redraw.
+ */
+
+const SAMPLE_INTERVAL = 1000
+// One hour at one sample a second
+const CAPACITY = 3600
+// Each column covers this far either side of mid, in ~ROWS buckets
+export const HEATMAP_RANGE = 1
+const ROWS = 200
+
+export function useBookHeatmap(providerId, market, lastPrice) {
+  const [status, setStatus] = useState('connecting')
+  const [sync, setSync] = useState('resyncing')
+  const [version, setVersion] = useState(0)
+  const heatmapRef = useRef({ columns: createRingBuffer(CAPACITY), bucketSize: null })
+  // Read by the sampler, so a new price doesn't restart it
+  const lastPriceRef = useRef(lastPrice)
+  lastPriceRef.current = lastPrice
+
+  const provider = getProvider(providerId, 'subscribeBook')
+
+  useEffect(() => {
+    const heatmap = { columns: createRingBuffer(CAPACITY), bucketSize: null }
+    heatmapRef.current = heatmap
+    setVersion(v => v + 1)
+
+    let book = null
+    let synced = false
+
+    const unsubscribeBook = subscribeLocalBook({
+      provider,
+      market,
+      onBook: (live) => {
+        book = live
+      },
+      onStatus: setStatus,
+      onSync: (next) => {
+        synced = next === 'synced'
+        setSync(next)
+      },
+    })
+
+    const sampler = setInterval(() => {
+      const time = Date.now()
+      const lastTrade = lastPriceRef.current || null
+      const bestBid = book && synced ? bestPrice(book.bids, 'bid') : null
+      const bestAsk = book && synced ? bestPrice(book.asks, 'ask') : null
+
+      // Keep the time axis honest while the book can't be trusted
+      if (bestBid === null || bestAsk === null) {
+        if (heatmap.columns.size) {
+          heatmap.columns.push({ time, mid: null, lastTrade, low: 0, sizes: null })
+          setVersion(v => v + 1)
+        }
+        return
+      }
+
+      const mid = (bestBid + bestAsk) / 2
+      if (!heatmap.bucketSize) heatmap.bucketSize = heatmapBucketSize(mid, HEATMAP_RANGE, ROWS)
+      heatmap.columns.push(sampleColumn(book.bids, book.asks, {
+        mid,
+        bucketSize: heatmap.bucketSize,
+        rangePercent: HEATMAP_RANGE,
+        lastTrade,
+        time,
+      }))
+      setVersion(v => v + 1)
+    }, SAMPLE_INTERVAL)
+
+    return () => {
+      clearInterval(sampler)
+      unsubscribeBook()
+    }
+  }, [provider, market])
+
+  return {
+    heatmap: heatmapRef.current,
+    version,
+    status,
+    sync,
+    sampleInterval: SAMPLE_INTERVAL,
+    source: provider.name,
+  }
+}
@@ -1,68 +1,96 @@
 import { useState, useEffect } from 'react'
+import { getProvider } from '../providers'
+import { AUTO_INTERVAL, RANGES } from '../timeframes'
+import { inferInterval, mergeCandles } from '../utils/candles'
+import { loadCandles, saveCandles } from '../utils/historyStore'
+import { now } from '../utils/clock'
 
 /**
- * Hook for fetching OHLCV candlestick data from CoinGecko
+ * Hook for fetching OHLCV candlestick data from a market-data provider
  * 
- * CoinGecko works everywhere and doesn't require API keys.
- * Chart data doesn't need to be real-time, so this is fine.
+ * Defaults to CoinGecko (see PROVIDER_CONFIG) - works everywhere and
+ * doesn't require API keys. Chart data doesn't need to be real-time,
+ * so REST is fine.
+ * 
+ * Pass an interval (see src/timeframes.js) to ask for a fixed candle
+ * size - the provider must support it (PROVIDER_CONFIG.intervalCandles).
+ * Without one the provider picks the granularity for the range.
+ * 
+ * Candles are tagged with the market they were fetched for, so after a
+ * market switch the previous pair's candles are never handed out
+ * (the chart would otherwise paint the new live price onto them).
+ * 
+ * Series are cached in IndexedDB (utils/historyStore.js): a cached one
+ * is shown straight away, then topped up. Providers with candleTail
+ * fetch only the tail from the last cached bar; the rest (CoinGecko
+ * picks its granularity from the range, so a shorter request isn't the
+ * same series) can only send the whole range, so they're asked again
+ * only once the cache is a bar old, or MAX_CACHE_AGE - meanwhile live
+ * trades keep the last bar moving. A failed fetch with a cached series
+ * on screen keeps it. Providers with cacheCandles: false (a replay)
+ * always fetch in full.
  */
 
-const TIMEFRAME_CONFIG = {
-  '24H': { days: '1' },
-  '7D': { days: '7' },
-  '30D': { days: '30' },
-  '6M': { days: '180' },
-  '1Y': { days: '365' },
-  '2Y': { days: '730' },
-  '3Y': { days: '1095' },
-  '5Y': { days: '1825' },
-  '10Y': { days: 'max' },  // CoinGecko 'max' gives all available history
-}
+const MAX_CACHE_AGE = 15 * 60 * 1000
 
-export function useCandlesticks(timeframe = '1D') {
-  const [candles, setCandles] = useState([])
+export function useCandlesticks(timeframe = '30D', providerId, market, interval = null) {
+  const [result, setResult] = useState({ marketId: null, candles: [] })
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
+  const provider = getProvider(providerId, 'fetchCandles')
+
   useEffect(() => {
-    const fetchCandles = async () => {
-      const config = TIMEFRAME_CONFIG[timeframe]
-      if (!config) return
+    let cancelled = false
+    // Stops a multi-page fetch as soon as the chart moves on
+    const controller = new AbortController()
+    const cacheKey = provider.cacheCandles === false
+      ? null
+      : `${provider.id}:${market.id}:${timeframe}:${interval || AUTO_INTERVAL}`
 
+    const fetchCandles = async () => {
       setLoading(true)
       setError(null)
 
-      try {
-        const url = `https://api.coingecko.com/api/v3/coins/ethereum/ohlc?vs_currency=usd&days=${config.days}`
-        const response = await fetch(url)
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`)
-        }
-
-        const data = await response.json()
+      const cutoff = Math.floor(now() / 1000) - RANGES[timeframe]
+      const record = cacheKey ? await loadCandles(cacheKey) : null
+      const cached = (record?.candles || []).filter(candle => candle.time >= cutoff)
+      if (cancelled) return
+      if (cached.length) {
+        setResult({ marketId: market.id, candles: cached })
+        setLoading(false)
 
-        // CoinGecko returns [timestamp, open, high, low, close]
-        const formatted = data.map(candle => ({
-          time: Math.floor(candle[0] / 1000),
-          open: candle[1],
-          high: candle[2],
-          low: candle[3],
-          close: candle[4],
-          volume: 0, // CoinGecko OHLC doesn't include volume
-        }))
+        const maxAge = Math.min((inferInterval(cached) || 0) * 1000, MAX_CACHE_AGE)
+        if (!provider.candleTail && Date.now() - record.savedAt < maxAge) return
+      }
 
-        setCandles(formatted)
+      try {
+        // From the last cached bar on - it was probably still forming
+        const since = cached.length && provider.candleTail ? cached[cached.length - 1].time : null
+        const fresh = await provider.fetchCandles(timeframe, market, interval, since, controller.signal)
+        const candles = mergeCandles(cached, fresh, cutoff)
+        if (!cancelled) setResult({ marketId: market.id, candles })
+        if (cacheKey) saveCandles(cacheKey, candles)
       } catch (err) {
+        if (cancelled) return
         console.error('Failed to fetch candles:', err)
-        setError('Failed to load chart data')
+        if (!cached.length) setError('Failed to load chart data')
       } finally {
-        setLoading(false)
+        if (!cancelled) setLoading(false)
       }
     }
 
     fetchCandles()
-  }, [timeframe])
+
+    return () => {
+      cancelled = true
+      controller.abort()
+    }
+  }, [timeframe, provider, market, interval])
+
+  const candles = result.marketId === market.id ? result.candles : EMPTY_CANDLES
 
   return { candles, loading, error }
 }
+
+const EMPTY_CANDLES = []
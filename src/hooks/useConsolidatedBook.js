@@ -0,0 +1,119 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { getProvider } from '../providers'
+import { subscribeLocalBook } from '../providers/localBook'
+import { bestPrice, buildLadder, calculateSpread, consolidateBooks, findArbitrage } from '../utils/orderBook'
+
+/**
+ * Hook for one order book merged across several venues
+ * 
+ * Keeps a local book per venue (same integrity checks as useOrderBook)
+ * and merges them into shared price buckets. Several feeds updating every
+ * 50-100ms would re-sort the merged book far faster than anyone can read
+ * it, so the merge runs on a fixed refresh tick instead.
+ * 
+ * Note: Binance quotes USD pairs in USDT, so cross-venue prices include
+ * the USDT/USD basis (usually a few bps).
+ */
+
+const REFRESH_INTERVAL = 250
+
+export function useConsolidatedBook(providerIds, market, { levels = 10, bucketSize } = {}) {
+  const [orderBook, setOrderBook] = useState({ bids: [], asks: [] })
+  const [arbitrage, setArbitrage] = useState([])
+  const [venues, setVenues] = useState([])
+
+  const venueKey = providerIds.join(',')
+  const providers = useMemo(
+    () => providerIds.map(id => getProvider(id, 'subscribeBook')),
+    [venueKey]
+  )
+
+  // Default bucket: the market's quote increment
+  const bucket = bucketSize ?? Math.pow(10, -market.decimals)
+
+  // Display settings are read on each refresh tick, so changing them
+  // doesn't tear down the venue sockets
+  const settingsRef = useRef({ bucket, levels })
+  settingsRef.current = { bucket, levels }
+
+  useEffect(() => {
+    const books = providers.map(provider => ({
+      provider,
+      id: provider.id,
+      name: provider.name,
+      color: provider.color,
+      bids: new Map(),
+      asks: new Map(),
+      status: 'connecting',
+      sync: 'resyncing',
+    }))
+    let dirty = true
+    let lastSettings = null
+
+    setOrderBook({ bids: [], asks: [] })
+    setArbitrage([])
+
+    const unsubscribes = books.map(book => subscribeLocalBook({
+      provider: book.provider,
+      market,
+      onBook: ({ bids, asks }) => {
+        book.bids = bids
+        book.asks = asks
+        dirty = true
+      },
+      onStatus: (status) => {
+        book.status = status
+        dirty = true
+      },
+      onSync: (sync) => {
+        book.sync = sync
+        dirty = true
+      },
+    }))
+
+    const refresh = setInterval(() => {
+      const settings = settingsRef.current
+      const settingsChanged = !lastSettings
+        || settings.bucket !== lastSettings.bucket
+        || settings.levels !== lastSettings.levels
+      if (!dirty && !settingsChanged) return
+      dirty = false
+      lastSettings = settings
+
+      // Only trust venues whose local book is in sync
+      const live = books.filter(book => book.status === 'connected' && book.sync === 'synced')
+
+      const merged = consolidateBooks(live, settings.bucket)
+      setOrderBook(buildLadder(merged.bids, merged.asks, settings.levels))
+
+      const tops = books.map(book => {
+        const isLive = live.includes(book)
+        return {
+          id: book.id,
+          name: book.name,
+          color: book.color,
+          status: book.status,
+          sync: book.sync,
+          bestBid: isLive ? bestPrice(book.bids, 'bid') : null,
+          bestAsk: isLive ? bestPrice(book.asks, 'ask') : null,
+        }
+      })
+
+      setArbitrage(findArbitrage(tops))
+      setVenues(tops)
+    }, REFRESH_INTERVAL)
+
+    return () => {
+      clearInterval(refresh)
+      unsubscribes.forEach(unsubscribe => unsubscribe())
+    }
+  }, [providers, market])
+
+  return {
+    bids: orderBook.bids,
+    asks: orderBook.asks,
+    spread: calculateSpread(orderBook.bids, orderBook.asks),
+    arbitrage,
+    venues,
+  }
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react'
+import { getProvider } from '../providers'
+
+/**
+ * Hook for a live exchange rate between two currencies
+ * 
+ * Used when the selected quote isn't listed natively (e.g. AVAX-GBP is
+ * streamed as AVAX-USD and converted). Rates move slowly next to crypto
+ * prices, so polling once a minute is plenty.
+ * 
+ * rate is null until the first fetch lands; same-currency is always 1.
+ */
+
+const RATE_REFRESH = 60000
+
+export function useConversionRate(from, to, providerId = 'coinbase') {
+  const [rate, setRate] = useState(from === to ? 1 : null)
+  const [error, setError] = useState(null)
+
+  const provider = getProvider(providerId, 'fetchRate')
+
+  useEffect(() => {
+    if (from === to) {
+      setRate(1)
+      setError(null)
+      return
+    }
+
+    let cancelled = false
+    setRate(null)
+
+    const fetchRate = async () => {
+      try {
+        const value = await provider.fetchRate(from, to)
+        if (!cancelled) {
+          setRate(value)
+          setError(null)
+        }
+      } catch (err) {
+        console.error('Failed to fetch exchange rate:', err)
+        if (!cancelled) setError(err.message)
+      }
+    }
+
+    fetchRate()
+    const interval = setInterval(fetchRate, RATE_REFRESH)
+
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+    }
+  }, [from, to, provider])
+
+  return { rate, error }
+}
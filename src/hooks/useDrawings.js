@@ -0,0 +1,38 @@
+import { useState, useEffect, useCallback } from 'react'
+import { loadJSON, saveJSON } from '../utils/storage'
+
+/**
+ * Hook for the chart drawings of a market, persisted in localStorage
+ *
+ * Drawings are kept per market id (ETH-USD and ETH-EUR have different
+ * price axes). Shape: { id, type, points: [{ time, price }], text? } -
+ * see DrawingLayer for the types.
+ */
+
+const storageKey = marketId => `drawings:${marketId}`
+
+export function useDrawings(marketId) {
+  const [state, setState] = useState(() => ({
+    marketId,
+    drawings: loadJSON(storageKey(marketId), []),
+  }))
+
+  // Load the new market's drawings on switch
+  useEffect(() => {
+    if (state.marketId === marketId) return
+    setState({ marketId, drawings: loadJSON(storageKey(marketId), []) })
+  }, [marketId])
+
+  const setDrawings = useCallback((update) => {
+    setState(prev => {
+      const drawings = typeof update === 'function' ? update(prev.drawings) : update
+      saveJSON(storageKey(prev.marketId), drawings)
+      return { ...prev, drawings }
+    })
+  }, [])
+
+  // Until the switch effect runs, don't show the previous market's drawings
+  const drawings = state.marketId === marketId ? state.drawings : []
+
+  return [drawings, setDrawings]
+}
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react'
+import { getFeedHealth } from '../providers/health'
+
+/**
+ * Hook for the live feed diagnostics (see providers/health.js)
+ *
+ * The registry is plain mutable state updated on every message, so
+ * it's polled rather than subscribed to - once a second is plenty
+ * for ages and rates.
+ */
+
+const REFRESH_INTERVAL = 1000
+
+export function useFeedHealth() {
+  const [feeds, setFeeds] = useState(() => getFeedHealth())
+
+  useEffect(() => {
+    const timer = setInterval(() => setFeeds(getFeedHealth()), REFRESH_INTERVAL)
+    return () => clearInterval(timer)
+  }, [])
+
+  return feeds
+}
@@ -0,0 +1,159 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { INDICATORS } from '../indicators'
+
+/**
+ * Hook that draws indicator instances (see src/indicators.js) onto a
+ * Lightweight Charts chart
+ *
+ * Lightweight Charts v4 has a single pane, so sub-pane indicators
+ * (RSI, MACD, ...) each get their own price scale squeezed into a strip
+ * under the candles via scaleMargins - chartLayout() works out the strips.
+ *
+ * Adding, removing or re-parameterising indicators rebuilds their series.
+ * The values themselves are recalculated over every candle on each
+ * update (a few thousand bars at most), but on a live tick only the last
+ * point or two is pushed to the chart with series.update(), same as the
+ * candles.
+ *
+ * Returns a ref to Map(id -> { indicator, lines: [{ key, series }] })
+ * for reading crosshair values.
+ */
+
+// Pixel heights: the candle pane stays the same size, strips are added below
+export const MAIN_PANE_HEIGHT = 400
+export const SUB_PANE_HEIGHT = 110
+
+const GUIDE_COLOR = '#4a4a52'
+const HISTOGRAM_UP = 'rgba(0, 200, 83, 0.5)'
+const HISTOGRAM_DOWN = 'rgba(255, 23, 68, 0.5)'
+const NUMBER_FORMAT = { type: 'price', precision: 2, minMove: 0.01 }
+
+/**
+ * Chart height and scale margins for the candle pane, the volume overlay
+ * and each sub-pane strip
+ */
+export function chartLayout(subPaneCount) {
+  const height = MAIN_PANE_HEIGHT + subPaneCount * SUB_PANE_HEIGHT
+  const strip = SUB_PANE_HEIGHT / height
+  const mainShare = 1 - subPaneCount * strip
+
+  return {
+    height,
+    main: { top: 0.1 * mainShare, bottom: 1 - mainShare + 0.2 * mainShare },
+    volume: { top: 1 - subPaneCount * strip - 0.15 * mainShare, bottom: subPaneCount * strip },
+    subPanes: Array.from({ length: subPaneCount }, (_, i) => ({
+      top: mainShare + (i + 0.1) * strip,
+      bottom: 1 - mainShare - (i + 0.95) * strip,
+    })),
+  }
+}
+
+/**
+ * Points for one line, histograms colored by sign
+ */
+function toLineData(points, line) {
+  if (line.type !== 'histogram') return points
+  return points.map(point => ({
+    ...point,
+    color: point.value >= 0 ? HISTOGRAM_UP : HISTOGRAM_DOWN,
+  }))
+}
+
+export function useIndicatorSeries(chartRef, indicators, candles, { history, rate, priceFormat }) {
+  const seriesRef = useRef(new Map())
+  const renderedRef = useRef(null)
+
+  const outputs = useMemo(
+    () => indicators.map(indicator => INDICATORS[indicator.type].calculate(candles, indicator.params)),
+    [candles, indicators]
+  )
+  const outputsRef = useRef(outputs)
+  outputsRef.current = outputs
+
+  // (Re)build series when the set of indicators changes
+  useEffect(() => {
+    const chart = chartRef.current
+    if (!chart) return
+
+    seriesRef.current.forEach(entry => {
+      entry.lines.forEach(({ series }) => chart.removeSeries(series))
+    })
+    seriesRef.current = new Map()
+
+    const subPanes = indicators.filter(indicator => INDICATORS[indicator.type].pane === 'sub')
+    const layout = chartLayout(subPanes.length)
+
+    indicators.forEach((indicator, i) => {
+      const definition = INDICATORS[indicator.type]
+      const isSub = definition.pane === 'sub'
+      const options = {
+        priceScaleId: isSub ? indicator.id : 'right',
+        priceFormat: definition.format === 'price' ? priceFormat : NUMBER_FORMAT,
+        lastValueVisible: false,
+        priceLineVisible: false,
+      }
+
+      const lines = definition.lines.map(line => {
+        const series = line.type === 'histogram'
+          ? chart.addHistogramSeries(options)
+          : chart.addLineSeries({
+            ...options,
+            color: line.color || indicator.color,
+            lineWidth: 1,
+            lineStyle: line.dashed ? 2 : 0,
+            crosshairMarkerVisible: false,
+          })
+        series.setData(toLineData(outputsRef.current[i][line.key], line))
+        return { key: line.key, line, series }
+      })
+
+      if (isSub) {
+        lines[0].series.priceScale().applyOptions({
+          scaleMargins: layout.subPanes[subPanes.indexOf(indicator)],
+        })
+        definition.guides?.forEach(price => {
+          lines[lines.length - 1].series.createPriceLine({
+            price,
+            color: GUIDE_COLOR,
+            lineWidth: 1,
+            lineStyle: 2,
+            axisLabelVisible: false,
+          })
+        })
+      }
+
+      seriesRef.current.set(indicator.id, { indicator, lines })
+    })
+
+    renderedRef.current = { indicators, history, rate, length: candles.length }
+  }, [indicators, priceFormat.precision])
+
+  // Push new values as candles change
+  useEffect(() => {
+    const rendered = renderedRef.current
+    if (!rendered || rendered.indicators !== indicators || !candles.length) return
+
+    const grown = candles.length - rendered.length
+    const isLiveTick = rendered.history === history && rendered.rate === rate && (grown === 0 || grown === 1)
+    const fromTime = candles[candles.length - 1 - Math.max(grown, 0)].time
+
+    indicators.forEach((indicator, i) => {
+      seriesRef.current.get(indicator.id)?.lines.forEach(({ key, line, series }) => {
+        const points = toLineData(outputs[i][key], line)
+        if (!isLiveTick) {
+          series.setData(points)
+          return
+        }
+
+        // Only the tail can have changed
+        let start = points.length
+        while (start > 0 && points[start - 1].time >= fromTime) start--
+        points.slice(start).forEach(point => series.update(point))
+      })
+    })
+
+    renderedRef.current = { indicators, history, rate, length: candles.length }
+  }, [outputs])
+
+  return seriesRef
+}
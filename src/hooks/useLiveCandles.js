@@ -0,0 +1,103 @@
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { getProvider } from '../providers'
+import { aggregateTrades, inferInterval } from '../utils/candles'
+import { isLive, now } from '../utils/clock'
+import { loadTicks } from '../utils/historyStore'
+
+/**
+ * Hook that keeps a historical candle series alive with streaming trades
+ *
+ * History comes from useCandlesticks; trades from any provider that
+ * supports subscribeTrades. Trades are rolled into bars on the history's
+ * own interval (see utils/candles.js aggregateTrades), so the last bar
+ * moves, new bars appear as intervals roll over, and each bar's volume
+ * keeps growing with the prints.
+ *
+ * While the trade feed is down, ticker prices (currentPrice) still move
+ * the bars - just without volume.
+ *
+ * Trades are buffered and applied on a fixed tick, like the trade tape.
+ *
+ * Ticker prices recorded since the history's last bar (useTickRecorder,
+ * e.g. from the previous visit) are folded in as soon as the history
+ * lands, so the bars the history doesn't cover yet aren't flat until
+ * the first trade. Only ticks from the trades provider itself are used -
+ * another venue's prices would put its spread into these bars.
+ */
+
+const FLUSH_INTERVAL = 250
+
+export function useLiveCandles(history, providerId, market, currentPrice) {
+  const [result, setResult] = useState({ history, candles: history })
+  const [status, setStatus] = useState('connecting')
+
+  const provider = useMemo(() => getProvider(providerId, 'subscribeTrades'), [providerId])
+
+  const barsRef = useRef(history)
+  const bufferRef = useRef([])
+
+  const interval = useMemo(() => inferInterval(history), [history])
+
+  // New history (timeframe or market switch) replaces the live series
+  useEffect(() => {
+    barsRef.current = history
+    setResult({ history, candles: history })
+
+    // Recorded ticks are live data - not part of a replay
+    if (!history.length || !isLive()) return
+
+    let cancelled = false
+    loadTicks(market.productId, providerId, history[history.length - 1].time * 1000).then(ticks => {
+      // Live trades got there first: they're newer than any recorded tick
+      if (cancelled || !ticks.length || barsRef.current !== history) return
+
+      const next = aggregateTrades(history, ticks.map(tick => ({ price: tick.price, size: 0, time: tick.time })), interval)
+      barsRef.current = next
+      setResult(prev => (prev.candles === history ? { history, candles: next } : prev))
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [history])
+  const intervalRef = useRef(interval)
+  intervalRef.current = interval
+
+  useEffect(() => {
+    bufferRef.current = []
+
+    const unsubscribe = provider.subscribeTrades({
+      market,
+      onTrade: (trade) => bufferRef.current.push(trade),
+      onStatus: setStatus,
+    })
+
+    const flush = setInterval(() => {
+      const trades = bufferRef.current
+      if (!trades.length) return
+      bufferRef.current = []
+
+      // Nothing to extend until history has loaded
+      const bars = barsRef.current
+      if (!bars.length) return
+
+      const next = aggregateTrades(bars, trades, intervalRef.current)
+      barsRef.current = next
+      setResult(prev => (prev.candles === bars ? { ...prev, candles: next } : prev))
+    }, FLUSH_INTERVAL)
+
+    return () => {
+      clearInterval(flush)
+      unsubscribe()
+    }
+  }, [provider, market])
+
+  // Fall back to ticker prices while there are no trades
+  useEffect(() => {
+    if (status === 'connected' || !currentPrice) return
+    bufferRef.current.push({ price: currentPrice, size: 0, time: now() })
+  }, [currentPrice, status])
+
+  // Until the reset effect runs, don't hand out bars built on old history
+  return result.history === history ? result.candles : history
+}
@@ -0,0 +1,41 @@
+import { useState, useEffect, useCallback } from 'react'
+import { DEFAULT_MARKET_ID, isValidMarketId } from '../markets'
+
+/**
+ * Hook for the selected market, synced with the ?symbol= URL param
+ * 
+ * - Initial value comes from the URL, so shared links open the right pair
+ * - Selecting a market pushes a history entry (back button works)
+ * - Default market keeps the URL clean
+ */
+
+const PARAM = 'symbol'
+
+function readMarketId() {
+  const value = new URLSearchParams(window.location.search).get(PARAM)?.toUpperCase()
+  return isValidMarketId(value) ? value : DEFAULT_MARKET_ID
+}
+
+export function useMarketParam() {
+  const [marketId, setMarketId] = useState(readMarketId)
+
+  // Browser back/forward
+  useEffect(() => {
+    const handlePopState = () => setMarketId(readMarketId())
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+
+  const selectMarket = useCallback((id) => {
+    const url = new URL(window.location.href)
+    if (id === DEFAULT_MARKET_ID) {
+      url.searchParams.delete(PARAM)
+    } else {
+      url.searchParams.set(PARAM, id)
+    }
+    window.history.pushState(null, '', url)
+    setMarketId(id)
+  }, [])
+
+  return [marketId, selectMarket]
+}
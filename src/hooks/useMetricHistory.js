@@ -0,0 +1,32 @@
+import { useState, useEffect, useRef } from 'react'
+
+/**
+ * Hook that samples a fast-changing value on a fixed clock and keeps
+ * the last `length` samples - enough for a sparkline
+ *
+ * Sampling (rather than recording every change) keeps the history
+ * evenly spaced and bounded no matter how busy the feed is.
+ * Null values are skipped; changing resetKey (e.g. the market id)
+ * starts a fresh history.
+ *
+ * @returns {Array} [{ time, value }], oldest first
+ */
+export function useMetricHistory(value, { interval = 1000, length = 300, resetKey } = {}) {
+  const [history, setHistory] = useState([])
+  const valueRef = useRef(value)
+  valueRef.current = value
+
+  useEffect(() => {
+    setHistory([])
+
+    const timer = setInterval(() => {
+      const current = valueRef.current
+      if (current === null || current === undefined) return
+      setHistory(prev => [...prev.slice(-(length - 1)), { time: Date.now(), value: current }])
+    }, interval)
+
+    return () => clearInterval(timer)
+  }, [interval, length, resetKey])
+
+  return history
+}
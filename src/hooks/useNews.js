@@ -1,12 +1,12 @@
 import { useState, useEffect, useCallback } from 'react'
 
 /**
- * Hook for fetching ETH-related news from CryptoPanic
+ * Hook for fetching coin-related news from CryptoPanic
  * 
  * Why CryptoPanic?
  * - Free tier with no API key required for public endpoint
  * - Aggregates from 50+ crypto news sources
- * - Filters by currency (ETH)
+ * - Filters by currency (ETH by default)
  * - Already ranked by importance/virality
  * 
  * Note: We use their public RSS-style endpoint which doesn't require auth
@@ -16,9 +16,9 @@ import { useState, useEffect, useCallback } from 'react'
 const NEWS_API_URL = 'https://cryptopanic.com/api/free/v1/posts/?auth_token=&public=true&currencies=ETH'
 
 // Fallback: If CryptoPanic fails, we can use this backup approach
-const BACKUP_NEWS_API = 'https://min-api.cryptocompare.com/data/v2/news/?categories=ETH&excludeCategories=Sponsored'
+const BACKUP_NEWS_API = 'https://min-api.cryptocompare.com/data/v2/news/?excludeCategories=Sponsored&categories='
 
-export function useNews(refreshInterval = 60000) {
+export function useNews(refreshInterval = 60000, currency = 'ETH') {
   const [news, setNews] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -27,7 +27,7 @@ export function useNews(refreshInterval = 60000) {
   const fetchNews = useCallback(async () => {
     try {
       // Try CryptoCompare first (more reliable, no auth needed)
-      const response = await fetch(BACKUP_NEWS_API)
+      const response = await fetch(`${BACKUP_NEWS_API}${currency}`)
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}`)
@@ -68,7 +68,7 @@ export function useNews(refreshInterval = 60000) {
       setLoading(false)
       setLastUpdate(Date.now())
     }
-  }, [])
+  }, [currency])
 
   // Initial fetch
   useEffect(() => {
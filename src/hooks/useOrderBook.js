@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { getProvider } from '../providers'
+import { subscribeLocalBook } from '../providers/localBook'
+import { bookMetrics, buildLadder, calculateSpread, groupLevels, sortLevels } from '../utils/orderBook'
+
+/**
+ * Hook for real-time order book from any market-data provider
+ * 
+ * The local book (snapshot + incremental updates, integrity checks and
+ * resyncs) lives in providers/localBook.js; this hook turns it into the
+ * top-of-book ladder the UI renders.
+ * 
+ * With a tickSize the full book is grouped into price buckets before
+ * the top `levels` are taken, so coarse grouping shows real depth.
+ * Changing levels/tickSize re-renders from the book we already have -
+ * no resubscribe.
+ * 
+ * depth: the full book as sorted (and grouped) { price, quantity } levels,
+ * for consumers that need more than the ladder (depth chart etc.)
+ * 
+ * metrics: imbalance, microprice etc. from the raw, ungrouped book
+ * (see bookMetrics), null until both sides have levels
+ * 
+ * sync: 'synced' | 'resyncing' | 'stale'
+ */
+
+const EMPTY_BOOK = {
+  bids: [],
+  asks: [],
+  depth: { bids: [], asks: [] },
+  metrics: null,
+}
+
+export function useOrderBook(providerId, market, levels = 10, tickSize = null) {
+  const [orderBook, setOrderBook] = useState(EMPTY_BOOK)
+  const [status, setStatus] = useState('connecting')
+  const [sync, setSync] = useState('resyncing')
+
+  // Latest full book maps ({ bids, asks }) and display settings
+  const bookRef = useRef(null)
+  const settingsRef = useRef({ levels, tickSize })
+
+  const provider = getProvider(providerId, 'subscribeBook')
+
+  const processOrderBook = useCallback(() => {
+    if (!bookRef.current) return
+
+    const { bids, asks } = bookRef.current
+    const { levels, tickSize } = settingsRef.current
+
+    const sortedBids = tickSize ? groupLevels(bids, 'bid', tickSize) : sortLevels(bids, 'bid')
+    const sortedAsks = tickSize ? groupLevels(asks, 'ask', tickSize) : sortLevels(asks, 'ask')
+    setOrderBook({
+      ...buildLadder(sortedBids, sortedAsks, levels),
+      depth: { bids: sortedBids, asks: sortedAsks },
+      metrics: bookMetrics(bids, asks),
+    })
+  }, [])
+
+  useEffect(() => {
+    settingsRef.current = { levels, tickSize }
+    processOrderBook()
+  }, [levels, tickSize, processOrderBook])
+
+  useEffect(() => {
+    // Clear order book state
+    bookRef.current = null
+    setOrderBook(EMPTY_BOOK)
+
+    return subscribeLocalBook({
+      provider,
+      market,
+      onBook: (book) => {
+        bookRef.current = book
+        processOrderBook()
+      },
+      onStatus: setStatus,
+      onSync: setSync,
+    })
+  }, [provider, market, processOrderBook])
+
+  return {
+    bids: orderBook.bids,
+    asks: orderBook.asks,
+    spread: calculateSpread(orderBook.bids, orderBook.asks),
+    depth: orderBook.depth,
+    metrics: orderBook.metrics,
+    status,
+    sync,
+    source: provider.name,
+  }
+}
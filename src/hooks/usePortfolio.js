@@ -0,0 +1,45 @@
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { loadJSON, saveJSON } from '../utils/storage'
+
+/**
+ * Hook for position lots, persisted in localStorage
+ *
+ * All lots live in one list; the selected market's are those with its
+ * base asset and a cost basis in its quote currency (a EUR cost can't be
+ * compared with a USD price). Lots in other quotes are counted so the
+ * panel can point at them.
+ */
+
+const STORAGE_KEY = 'portfolio'
+
+let nextId = 1
+const newId = () => `${Date.now().toString(36)}-${nextId++}`
+
+export function usePortfolio(market) {
+  const [allLots, setAllLots] = useState(() => loadJSON(STORAGE_KEY, []))
+
+  useEffect(() => {
+    saveJSON(STORAGE_KEY, allLots)
+  }, [allLots])
+
+  const lots = useMemo(
+    () => allLots.filter(lot => lot.base === market.base && lot.quote === market.quote),
+    [allLots, market.base, market.quote]
+  )
+  const otherQuoteCount = allLots.filter(lot => lot.base === market.base && lot.quote !== market.quote).length
+
+  const addLot = useCallback((lot) => {
+    setAllLots(prev => [...prev, { ...lot, id: newId(), base: market.base, quote: market.quote }])
+  }, [market.base, market.quote])
+
+  const removeLot = useCallback((id) => {
+    setAllLots(prev => prev.filter(lot => lot.id !== id))
+  }, [])
+
+  // Imported lots are added alongside the existing ones
+  const importLots = useCallback((imported) => {
+    setAllLots(prev => [...prev, ...imported.map(lot => ({ ...lot, id: newId() }))])
+  }, [])
+
+  return { lots, allLots, otherQuoteCount, addLot, removeLot, importLots }
+}
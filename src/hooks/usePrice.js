@@ -0,0 +1,73 @@
+import { useState, useEffect, useMemo } from 'react'
+import { getProvider } from '../providers'
+import { createFailoverTicker } from '../providers/failover'
+
+/**
+ * Hook for real-time price of a market from any market-data provider
+ * 
+ * The provider owns the transport (WebSocket or polling) and hands us
+ * normalized ticker events, so the output shape is identical whichever
+ * exchange is behind it.
+ * 
+ * Pass a list of provider ids to get automatic failover between them
+ * (see providers/failover.js). `source` is whichever one is feeding now
+ * (`sourceId` its provider id).
+ * 
+ * receivedAt is when the last ticker arrived (local clock) - an open
+ * socket can still go quiet.
+ */
+
+const EMPTY_TICKER = {
+  price: null,
+  priceChange: null,
+  priceChangePercent: null,
+  high24h: null,
+  low24h: null,
+  volume24h: null,
+  quoteVolume24h: null,
+  open24h: null,
+  bestBid: null,
+  bestAsk: null,
+  prevPrice: null,
+  receivedAt: null,
+}
+
+export function usePrice(providerIds, market) {
+  const [data, setData] = useState(EMPTY_TICKER)
+  const [status, setStatus] = useState('connecting')
+
+  const chain = [].concat(providerIds)
+  const chainKey = chain.join(',')
+
+  const feed = useMemo(() => (
+    chain.length > 1
+      ? createFailoverTicker(chain)
+      : getProvider(chain[0], 'subscribeTicker')
+  ), [chainKey])
+
+  const [source, setSource] = useState({ id: chain[0], name: feed.name, index: 0 })
+
+  useEffect(() => {
+    // Nothing from the previous market's feeds carries over
+    setData(EMPTY_TICKER)
+    setStatus('connecting')
+    setSource({ id: chain[0], name: feed.name, index: 0 })
+
+    return feed.subscribeTicker({
+      market,
+      onTicker: (ticker) => {
+        setData(prev => ({ ...ticker, prevPrice: prev.price, receivedAt: Date.now() }))
+      },
+      onStatus: setStatus,
+      onSource: (provider, index) => setSource({ id: provider.id, name: provider.name, index }),
+    })
+  }, [feed, market])
+
+  return {
+    ...data,
+    status,
+    source: source.name,
+    sourceId: source.id,
+    isFallback: source.index > 0,
+  }
+}
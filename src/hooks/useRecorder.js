@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from 'react'
+import { recorder } from '../providers/recorder'
+
+/**
+ * Hook for the session recorder (see providers/recorder.js)
+ *
+ * State ({ recording, pending, startedAt, messages, bytes }, refreshed
+ * once a second while recording) plus start/stop. pending: a capture
+ * stopped at the size limit, waiting for stop() to hand it over.
+ */
+
+export function useRecorder() {
+  const state = useSyncExternalStore(recorder.subscribeState, recorder.getState)
+
+  return {
+    ...state,
+    start: recorder.start,
+    stop: recorder.stop,
+  }
+}
@@ -0,0 +1,24 @@
+import { useSyncExternalStore } from 'react'
+import { replay } from '../providers/replay'
+
+/**
+ * Hook for the replay player (see providers/replay.js)
+ *
+ * State ({ active, playing, speed, position, start, end, products,
+ * session, fileName }) plus the transport controls. The position moves
+ * a few times a second while playing.
+ */
+
+export function useReplay() {
+  const state = useSyncExternalStore(replay.subscribeState, replay.getState)
+
+  return {
+    ...state,
+    load: replay.load,
+    play: replay.play,
+    pause: replay.pause,
+    setSpeed: replay.setSpeed,
+    seek: replay.seek,
+    exit: replay.exit,
+  }
+}
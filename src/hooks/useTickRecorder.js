@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react'
+import { appendTicks } from '../utils/historyStore'
+
+/**
+ * Hook that records the live ticker into local history
+ * (see utils/historyStore.js)
+ *
+ * Pass the feed ticker (before conversion) - ticks are stored in the
+ * feed currency under the streamed pair (market.productId), so ETH-EUR
+ * and ETH-USD share one ETH-USD record, tagged with the provider that
+ * was feeding (ticker.sourceId). Ticks are buffered and written in
+ * chunks - one per provider - plus whatever is left when the market
+ * changes.
+ *
+ * Pass enabled: false to skip ticks that aren't live (a replay).
+ */
+
+const FLUSH_INTERVAL = 30000
+
+export function useTickRecorder(market, ticker, enabled = true) {
+  const bufferRef = useRef([])
+
+  useEffect(() => {
+    if (!enabled || !ticker.price || !ticker.receivedAt) return
+    bufferRef.current.push({
+      providerId: ticker.sourceId,
+      time: ticker.time || ticker.receivedAt,
+      price: ticker.price,
+      bestBid: ticker.bestBid,
+      bestAsk: ticker.bestAsk,
+    })
+  }, [ticker.receivedAt])
+
+  useEffect(() => {
+    const productId = market.productId
+
+    const flush = () => {
+      const byProvider = new Map()
+      bufferRef.current.forEach(({ providerId, ...tick }) => {
+        if (!byProvider.has(providerId)) byProvider.set(providerId, [])
+        byProvider.get(providerId).push(tick)
+      })
+      bufferRef.current = []
+      byProvider.forEach((ticks, providerId) => appendTicks(productId, providerId, ticks))
+    }
+
+    const timer = setInterval(flush, FLUSH_INTERVAL)
+    return () => {
+      clearInterval(timer)
+      flush()
+    }
+  }, [market.productId])
+}
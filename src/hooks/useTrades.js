@@ -0,0 +1,57 @@
+import { useState, useEffect, useMemo } from 'react'
+import { getProvider } from '../providers'
+import { appendTrades } from '../utils/trades'
+
+/**
+ * Hook for the live trade tape (time & sales) from any provider that
+ * supports subscribeTrades
+ *
+ * Reconnects are handled by the provider socket, same as the price feed.
+ * A busy market prints dozens of trades a second, so incoming trades are
+ * buffered and flushed into state on a fixed tick.
+ *
+ * The tape keeps the last MAX_AGE of trades (capped at MAX_TRADES) -
+ * enough to aggregate buy/sell pressure over the longest window.
+ */
+
+const FLUSH_INTERVAL = 250
+const MAX_TRADES = 2000
+const MAX_AGE = 15 * 60 * 1000
+
+export function useTrades(providerId, market) {
+  const [trades, setTrades] = useState([])
+  const [status, setStatus] = useState('connecting')
+
+  const provider = useMemo(() => getProvider(providerId, 'subscribeTrades'), [providerId])
+
+  useEffect(() => {
+    let buffer = []
+
+    setTrades([])
+
+    const unsubscribe = provider.subscribeTrades({
+      market,
+      onTrade: (trade) => buffer.push(trade),
+      onStatus: setStatus,
+    })
+
+    const flush = setInterval(() => {
+      if (!buffer.length) return
+
+      const incoming = buffer
+      buffer = []
+      setTrades(prev => appendTrades(prev, incoming, { maxTrades: MAX_TRADES, maxAge: MAX_AGE }))
+    }, FLUSH_INTERVAL)
+
+    return () => {
+      clearInterval(flush)
+      unsubscribe()
+    }
+  }, [provider, market])
+
+  return {
+    trades,
+    status,
+    source: provider.name,
+  }
+}
@@ -0,0 +1,150 @@
+import {
+  calculateBollinger,
+  calculateEMA,
+  calculateMACD,
+  calculateRSI,
+  calculateSMA,
+  calculateStochastic,
+  calculateVWAP,
+} from './utils/indicators'
+
+/**
+ * Chart indicator catalog
+ *
+ * Each indicator describes:
+ * - pane: 'price' overlays the candles, 'sub' gets its own strip below
+ * - params: editable numbers, with defaults, bounds and step (whole
+ *   numbers if none)
+ * - validate: optional check across params - an error message, or null
+ * - lines: the series to draw, keyed like calculate()'s output
+ *   (color: null = the instance's own color; type: 'line' | 'histogram')
+ * - guides: fixed horizontal levels for oscillators (70/30 etc.)
+ * - format: 'price' values read in the quote currency, 'number' are unitless
+ *
+ * An active indicator on the chart is an instance:
+ * { id, type, params, color } - see createIndicator.
+ */
+
+export const INDICATORS = {
+  sma: {
+    name: 'SMA',
+    description: 'Simple moving average',
+    pane: 'price',
+    params: [{ key: 'period', label: 'Period', default: 20, min: 1, max: 500 }],
+    lines: [{ key: 'value', color: null }],
+    format: 'price',
+    calculate: calculateSMA,
+  },
+  ema: {
+    name: 'EMA',
+    description: 'Exponential moving average',
+    pane: 'price',
+    params: [{ key: 'period', label: 'Period', default: 20, min: 1, max: 500 }],
+    lines: [{ key: 'value', color: null }],
+    format: 'price',
+    calculate: calculateEMA,
+  },
+  vwap: {
+    name: 'VWAP',
+    description: 'Volume-weighted average price (daily)',
+    pane: 'price',
+    params: [],
+    lines: [{ key: 'value', color: null }],
+    format: 'price',
+    calculate: calculateVWAP,
+  },
+  bollinger: {
+    name: 'BB',
+    description: 'Bollinger Bands',
+    pane: 'price',
+    params: [
+      { key: 'period', label: 'Period', default: 20, min: 2, max: 500 },
+      { key: 'deviations', label: 'StdDev', default: 2, min: 0.5, max: 5, step: 0.5 },
+    ],
+    lines: [
+      { key: 'upper', color: null },
+      { key: 'middle', color: null, dashed: true },
+      { key: 'lower', color: null },
+    ],
+    format: 'price',
+    calculate: calculateBollinger,
+  },
+  rsi: {
+    name: 'RSI',
+    description: 'Relative strength index',
+    pane: 'sub',
+    params: [{ key: 'period', label: 'Period', default: 14, min: 2, max: 100 }],
+    lines: [{ key: 'value', color: null }],
+    guides: [70, 30],
+    format: 'number',
+    calculate: calculateRSI,
+  },
+  macd: {
+    name: 'MACD',
+    description: 'Moving average convergence divergence',
+    pane: 'sub',
+    params: [
+      { key: 'fast', label: 'Fast', default: 12, min: 1, max: 200 },
+      { key: 'slow', label: 'Slow', default: 26, min: 2, max: 400 },
+      { key: 'signal', label: 'Signal', default: 9, min: 1, max: 100 },
+    ],
+    validate: params => (params.fast < params.slow ? null : 'Fast must be shorter than slow'),
+    lines: [
+      { key: 'histogram', type: 'histogram' },
+      { key: 'macd', color: null },
+      { key: 'signal', color: '#ff9800' },
+    ],
+    guides: [0],
+    format: 'price',
+    calculate: calculateMACD,
+  },
+  stochastic: {
+    name: 'Stoch',
+    description: 'Stochastic oscillator',
+    pane: 'sub',
+    params: [
+      { key: 'period', label: '%K', default: 14, min: 1, max: 200 },
+      { key: 'smooth', label: 'Smooth', default: 3, min: 1, max: 50 },
+      { key: 'signal', label: '%D', default: 3, min: 1, max: 50 },
+    ],
+    lines: [
+      { key: 'k', color: null },
+      { key: 'd', color: '#ff9800' },
+    ],
+    guides: [80, 20],
+    format: 'number',
+    calculate: calculateStochastic,
+  },
+}
+
+// Instance colors, handed out in turn
+const PALETTE = ['#f5a623', '#29b6f6', '#ab47bc', '#26a69a', '#ec407a', '#d4e157']
+
+let nextId = 1
+
+/**
+ * New indicator instance with default params
+ *
+ * @param {string} type - key of INDICATORS
+ * @param {Array} existing - instances already on the chart (picks an unused color)
+ */
+export function createIndicator(type, existing = []) {
+  const definition = INDICATORS[type]
+  const used = existing.map(indicator => indicator.color)
+
+  return {
+    id: `${type}-${nextId++}`,
+    type,
+    params: Object.fromEntries(definition.params.map(param => [param.key, param.default])),
+    color: PALETTE.find(color => !used.includes(color)) || PALETTE[existing.length % PALETTE.length],
+  }
+}
+
+/**
+ * Short label, e.g. "BB 20 2"
+ */
+export function indicatorLabel(indicator) {
+  const definition = INDICATORS[indicator.type]
+  const values = definition.params.map(param => indicator.params[param.key])
+  return [definition.name, ...values].join(' ')
+}
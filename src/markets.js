@@ -0,0 +1,121 @@
+/**
+ * Market catalog
+ * 
+ * A market is BASE-QUOTE (e.g. ETH-EUR) plus everything the providers
+ * need to find the data for it:
+ * - productId / feedQuote: the pair actually streamed. Where Coinbase
+ *   lists the pair natively this is the market itself; otherwise we
+ *   stream BASE-USD and convert with an exchange rate (converted: true)
+ * - coingeckoId: CoinGecko coin id for the base asset
+ * - binanceSymbol: Binance spot symbol for the feed pair (USD maps to USDT)
+ * - decimals: price display precision in the quote currency
+ * - notionalDecimals: precision for amounts (size × price) in the quote
+ * 
+ * Products outside the catalog still resolve (e.g. from a shared link),
+ * they just fall back to default decimals and may lack CoinGecko data.
+ */
+
+export const DEFAULT_MARKET_ID = 'ETH-USD'
+
+// Quote currencies offered in the selector
+export const QUOTE_CURRENCIES = ['USD', 'EUR', 'GBP', 'BTC']
+
+// quotes: pairs Coinbase lists natively; decimals: per quote (fiat share USD's)
+const ASSET_CATALOG = {
+  ETH: { name: 'Ethereum', coingeckoId: 'ethereum', color: '#627EEA', quotes: ['USD', 'EUR', 'GBP', 'BTC'], decimals: { USD: 2, BTC: 5 } },
+  BTC: { name: 'Bitcoin', coingeckoId: 'bitcoin', color: '#F7931A', quotes: ['USD', 'EUR', 'GBP'], decimals: { USD: 2 } },
+  SOL: { name: 'Solana', coingeckoId: 'solana', color: '#9945FF', quotes: ['USD', 'EUR', 'GBP', 'BTC'], decimals: { USD: 2, BTC: 7 } },
+  LTC: { name: 'Litecoin', coingeckoId: 'litecoin', color: '#345D9D', quotes: ['USD', 'EUR', 'GBP', 'BTC'], decimals: { USD: 2, BTC: 6 } },
+  LINK: { name: 'Chainlink', coingeckoId: 'chainlink', color: '#2A5ADA', quotes: ['USD', 'EUR', 'GBP', 'BTC'], decimals: { USD: 3, BTC: 8 } },
+  AVAX: { name: 'Avalanche', coingeckoId: 'avalanche-2', color: '#E84142', quotes: ['USD', 'EUR', 'BTC'], decimals: { USD: 2, BTC: 7 } },
+  DOGE: { name: 'Dogecoin', coingeckoId: 'dogecoin', color: '#C2A633', quotes: ['USD', 'EUR', 'GBP'], decimals: { USD: 5, BTC: 9 } },
+}
+
+// Default price decimals per quote currency
+const QUOTE_DECIMALS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  BTC: 8,
+}
+
+// Notional precision per quote currency: whole units of fiat, but a
+// typical BTC-quoted order is worth well under ₿1
+const NOTIONAL_DECIMALS = {
+  USD: 0,
+  EUR: 0,
+  GBP: 0,
+  BTC: 4,
+}
+
+const FIAT = ['USD', 'EUR', 'GBP']
+
+// Assets offered in the picker
+export const ASSETS = Object.entries(ASSET_CATALOG).map(([symbol, asset]) => ({
+  symbol,
+  name: asset.name,
+}))
+
+function resolveDecimals(asset, quote) {
+  if (asset?.decimals) {
+    const key = FIAT.includes(quote) ? 'USD' : quote
+    if (asset.decimals[key] !== undefined) return asset.decimals[key]
+  }
+  return QUOTE_DECIMALS[quote] ?? 2
+}
+
+function buildMarket(id) {
+  const [base, quote] = id.split('-')
+  const asset = ASSET_CATALOG[base]
+
+  // Unknown assets: assume Coinbase lists the pair as-is
+  const native = !asset || asset.quotes.includes(quote)
+  const feedQuote = native ? quote : 'USD'
+
+  return {
+    id,
+    base,
+    quote,
+    name: asset?.name || base,
+    color: asset?.color || '#4a4a52',
+    coingeckoId: asset?.coingeckoId || null,
+    productId: `${base}-${feedQuote}`,
+    feedQuote,
+    converted: !native,
+    binanceSymbol: `${base}${feedQuote === 'USD' ? 'USDT' : feedQuote}`,
+    decimals: resolveDecimals(asset, quote),
+    notionalDecimals: NOTIONAL_DECIMALS[quote] ?? 2,
+  }
+}
+
+/**
+ * Check a product id looks like BASE-QUOTE
+ */
+export function isValidMarketId(id) {
+  return typeof id === 'string' && /^[A-Z0-9]{2,10}-[A-Z]{3,5}$/.test(id)
+}
+
+/**
+ * Resolve a product id to a market
+ */
+export function getMarket(id) {
+  const normalized = (id || '').toUpperCase()
+  const [base, quote] = normalized.split('-')
+
+  if (!isValidMarketId(normalized) || base === quote) {
+    return buildMarket(DEFAULT_MARKET_ID)
+  }
+  return buildMarket(normalized)
+}
+
+/**
+ * Market id for a different base or quote, avoiding BTC-BTC style pairs
+ */
+export function withBase(market, base) {
+  const quote = base === market.quote ? 'USD' : market.quote
+  return `${base}-${quote}`
+}
+
+export function withQuote(market, quote) {
+  return `${market.base}-${quote}`
+}
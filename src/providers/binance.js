@@ -0,0 +1,99 @@
+import { openSocket } from './socket'
+import { normalizeTicker } from './normalize'
+
+/**
+ * Binance adapter
+ * 
+ * Real-time and fast, but geo-blocked in some regions (USA).
+ * Retries are capped so a blocked feed settles on 'unavailable'
+ * instead of hammering the endpoint forever.
+ */
+
+const WS_BASE = 'wss://stream.binance.com:9443/ws'
+const REST_BASE = 'https://api.binance.com/api/v3'
+const MAX_RECONNECTS = 3
+
+// Klines are capped at 1000 per request - pick an interval that fits
+const TIMEFRAME_CONFIG = {
+  '24H': { interval: '15m', limit: 96 },
+  '7D': { interval: '1h', limit: 168 },
+  '30D': { interval: '4h', limit: 180 },
+  '6M': { interval: '1d', limit: 180 },
+  '1Y': { interval: '1d', limit: 365 },
+  '2Y': { interval: '1d', limit: 730 },
+  '3Y': { interval: '3d', limit: 365 },
+  '5Y': { interval: '1w', limit: 261 },
+  '10Y': { interval: '1w', limit: 522 },
+}
+
+export const binance = {
+  id: 'binance',
+  name: 'Binance',
+  color: '#F0B90B',
+
+  subscribeTicker({ market, onTicker, onStatus }) {
+    const socket = openSocket({
+      url: `${WS_BASE}/${market.binanceSymbol.toLowerCase()}@ticker`,
+      maxAttempts: MAX_RECONNECTS,
+      maxDelay: 10000,
+      onStatus,
+      onMessage: (ticker) => {
+        onTicker(normalizeTicker({
+          price: parseFloat(ticker.c),
+          open24h: parseFloat(ticker.o),
+          high24h: parseFloat(ticker.h),
+          low24h: parseFloat(ticker.l),
+          volume24h: parseFloat(ticker.v),
+          quoteVolume24h: parseFloat(ticker.q),
+          priceChange: parseFloat(ticker.p),
+          priceChangePercent: parseFloat(ticker.P),
+          bestBid: parseFloat(ticker.b),
+          bestAsk: parseFloat(ticker.a),
+          time: ticker.E,
+        }))
+      },
+    })
+
+    return socket.close
+  },
+
+  subscribeBook({ market, onBook, onStatus }) {
+    // Partial depth stream sends a full top-20 snapshot every 100ms
+    const socket = openSocket({
+      url: `${WS_BASE}/${market.binanceSymbol.toLowerCase()}@depth20@100ms`,
+      maxAttempts: MAX_RECONNECTS,
+      maxDelay: 10000,
+      onStatus,
+      onMessage: (data) => {
+        onBook({ type: 'snapshot', bids: data.bids, asks: data.asks })
+      },
+    })
+
+    return {
+      unsubscribe: socket.close,
+      // Every message is already a full snapshot - nothing to resync
+      resync: () => {},
+    }
+  },
+
+  async fetchCandles(timeframe, market) {
+    const config = TIMEFRAME_CONFIG[timeframe]
+    if (!config) return []
+
+    const url = `${REST_BASE}/klines?symbol=${market.binanceSymbol}&interval=${config.interval}&limit=${config.limit}`
+    const response = await fetch(url)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const data = await response.json()
+
+    // [openTime, open, high, low, close, volume, closeTime, quoteVolume, ...]
+    return data.map(k => ({
+      time: Math.floor(k[0] / 1000),
+      open: parseFloat(k[1]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3]),
+      close: parseFloat(k[4]),
+      volume: parseFloat(k[7]),
+    }))
+  },
+}
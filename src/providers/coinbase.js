@@ -0,0 +1,218 @@
+import { coinbaseFeed } from './coinbaseFeed'
+import { normalizeTicker } from './normalize'
+import { resampleCandles } from '../utils/candles'
+import { INTERVALS, RANGES } from '../timeframes'
+
+/**
+ * Coinbase Exchange adapter
+ * 
+ * - Works in USA, no API key for the public feed
+ * - All streams share one socket (see coinbaseFeed.js), which also
+ *   subscribes heartbeats, so a quiet book can be told apart from a
+ *   dead connection
+ * - ticker channel for price, level2_batch for the order book
+ *   (snapshot first, then incremental l2update batches)
+ * - matches channel for individual trades (the tape)
+ * - REST candles at an explicit granularity, paged to cover long ranges
+ * - exchange-rates REST for converting into quotes Coinbase doesn't list
+ * 
+ * WebSocket endpoint: wss://ws-feed.exchange.coinbase.com
+ */
+
+const RATES_URL = 'https://api.coinbase.com/v2/exchange-rates'
+const REST_BASE = 'https://api.exchange.coinbase.com'
+
+// Granularities the candles endpoint accepts (seconds); others are resampled
+const GRANULARITIES = [86400, 21600, 3600, 900, 300, 60]
+// Max candles per request
+const CANDLE_PAGE_SIZE = 300
+// Requests per series at most (30 pages of 1h bars = 1Y of 4h candles);
+// a range that needs more keeps its most recent part
+const MAX_CANDLE_PAGES = 30
+const DAY = 86400
+
+/**
+ * One page of candles, [time, low, high, open, close, volume] newest first
+ */
+async function fetchCandlePage(productId, granularity, start, end, signal) {
+  const params = new URLSearchParams({
+    granularity,
+    start: new Date(start * 1000).toISOString(),
+    end: new Date(end * 1000).toISOString(),
+  })
+
+  const response = await fetch(`${REST_BASE}/products/${productId}/candles?${params}`, { signal })
+  if (!response.ok) throw new Error(`HTTP ${response.status}`)
+  return response.json()
+}
+
+/**
+ * Whether a product traded at all in the DAY * CANDLE_PAGE_SIZE before
+ * `time` (not before `start`) - an empty page is either an outage or
+ * the time before the product was listed, and one daily page tells
+ * them apart
+ */
+async function tradedBefore(productId, time, start, signal) {
+  const probeStart = Math.max(start, time - CANDLE_PAGE_SIZE * DAY)
+  if (probeStart >= time) return false
+  const page = await fetchCandlePage(productId, DAY, probeStart, time, signal)
+  return page.length > 0
+}
+
+/**
+ * Stream handlers over a feed with coinbaseFeed's interface - the live
+ * socket, or a recorded session played back (see replay.js), which then
+ * goes through exactly the same message handling
+ */
+export function createCoinbaseStreams(feed) {
+  return {
+    subscribeTicker({ market, onTicker, onStatus, onActivity = () => {} }) {
+      return feed.subscribe({
+        channel: 'ticker',
+        productId: market.productId,
+        onStatus,
+        onMessage: (msg) => {
+          // Heartbeats too - a quiet market can go minutes without a ticker
+          onActivity()
+          if (msg.type !== 'ticker') return
+
+          onTicker(normalizeTicker({
+            price: parseFloat(msg.price),
+            open24h: parseFloat(msg.open_24h),
+            high24h: parseFloat(msg.high_24h),
+            low24h: parseFloat(msg.low_24h),
+            volume24h: parseFloat(msg.volume_24h),
+            bestBid: parseFloat(msg.best_bid),
+            bestAsk: parseFloat(msg.best_ask),
+            time: msg.time ? Date.parse(msg.time) : Date.now(),
+          }))
+        },
+      })
+    },
+
+    subscribeBook({ market, onBook, onStatus }) {
+      const unsubscribe = feed.subscribe({
+        channel: 'level2_batch',
+        productId: market.productId,
+        onStatus,
+        onMessage: (msg) => {
+          if (msg.type === 'snapshot') {
+            onBook({ type: 'snapshot', bids: msg.bids, asks: msg.asks })
+          } else if (msg.type === 'l2update') {
+            onBook({ type: 'update', changes: msg.changes, time: Date.parse(msg.time) || null })
+          } else if (msg.type === 'heartbeat') {
+            onBook({ type: 'heartbeat', time: Date.parse(msg.time) || Date.now() })
+          }
+        },
+      })
+
+      return {
+        unsubscribe,
+        // Re-subscribing the book channel makes Coinbase send a fresh snapshot
+        resync: () => feed.resubscribe('level2_batch', market.productId),
+      }
+    },
+
+    subscribeTrades({ market, onTrade, onStatus }) {
+      return feed.subscribe({
+        channel: 'matches',
+        productId: market.productId,
+        onStatus,
+        onMessage: (msg) => {
+          // last_match arrives once on subscribe, then a match per fill
+          if (msg.type !== 'match' && msg.type !== 'last_match') return
+
+          onTrade({
+            id: msg.trade_id,
+            price: parseFloat(msg.price),
+            size: parseFloat(msg.size),
+            // Coinbase reports the maker side; the taker is the other one
+            side: msg.side === 'sell' ? 'buy' : 'sell',
+            time: Date.parse(msg.time) || Date.now(),
+          })
+        },
+      })
+    },
+  }
+}
+
+export const coinbase = {
+  id: 'coinbase',
+  name: 'Coinbase',
+  color: '#0052FF',
+
+  ...createCoinbaseStreams(coinbaseFeed),
+
+  // fetchCandles honours `since`
+  candleTail: true,
+
+  /**
+   * Candles for a range at a fixed interval (see src/timeframes.js)
+   * 
+   * Pages backwards from now, 300 candles per request and at most
+   * MAX_CANDLE_PAGES requests. Coinbase returns nothing before a product
+   * was listed: an empty page ends the walk only if there's no trading
+   * before it either (otherwise it's a gap - an outage - and the walk
+   * goes on). Volume comes back in base currency; it's converted to
+   * quote at the bar's typical price.
+   * 
+   * Aborting `signal` stops the walk between (and during) requests.
+   * 
+   * With `since` (unix seconds) only the bars from there on are fetched -
+   * enough to top up a cached history.
+   */
+  async fetchCandles(timeframe, market, interval, since = null, signal) {
+    const range = RANGES[timeframe]
+    const seconds = INTERVALS[interval]
+    if (!range || !seconds) throw new Error(`Unsupported candles: ${timeframe} @ ${interval}`)
+
+    const granularity = GRANULARITIES.find(g => seconds % g === 0)
+    const now = Math.floor(Date.now() / 1000)
+    // Snap `since` to a whole bar so a resampled first bar isn't partial
+    const start = Math.max(now - range, since ? Math.floor(since / seconds) * seconds : 0)
+
+    const byTime = new Map()
+    let end = now
+    for (let pages = 0; end > start; pages++) {
+      if (pages === MAX_CANDLE_PAGES) {
+        console.warn(`Candles for ${market.productId} ${timeframe} @ ${interval} capped at ${MAX_CANDLE_PAGES} requests`)
+        break
+      }
+
+      const pageStart = Math.max(start, end - CANDLE_PAGE_SIZE * granularity)
+      const page = await fetchCandlePage(market.productId, granularity, pageStart, end, signal)
+      if (!page.length && !await tradedBefore(market.productId, pageStart, start, signal)) break
+
+      page.forEach(([time, low, high, open, close, volume]) => {
+        byTime.set(time, {
+          time,
+          open,
+          high,
+          low,
+          close,
+          volume: volume * ((high + low + close) / 3),
+        })
+      })
+      end = pageStart
+    }
+
+    const candles = [...byTime.values()]
+      .filter(candle => candle.time >= start)
+      .sort((a, b) => a.time - b.time)
+
+    return granularity === seconds ? candles : resampleCandles(candles, seconds)
+  },
+
+  async fetchRate(from, to) {
+    if (from === to) return 1
+
+    const response = await fetch(`${RATES_URL}?currency=${from}`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const { data } = await response.json()
+    const rate = parseFloat(data?.rates?.[to])
+    if (!rate) throw new Error(`No ${from}/${to} rate`)
+
+    return rate
+  },
+}
@@ -0,0 +1,222 @@
+import { openSocket } from './socket'
+
+/**
+ * Shared Coinbase Exchange WebSocket
+ *
+ * Every Coinbase stream in the app (ticker, book, trades - from any
+ * number of components) rides one connection. Subscriptions are
+ * reference counted per channel + product: the first subscriber sends
+ * the subscribe, the last one out sends the unsubscribe, and the socket
+ * itself closes shortly after nothing is subscribed.
+ *
+ * The connection also owns:
+ * - Heartbeats: every product with a subscriber gets the heartbeat
+ *   channel, so the socket is never legitimately silent
+ * - Staleness: no message at all for STALE_AFTER forces a reconnect
+ * - Reconnect with capped exponential backoff (openSocket), re-sending
+ *   every live subscription in one payload on each open
+ *
+ * Subscribers get the messages for their channel and product, plus
+ * that product's heartbeats, and every connection status change.
+ *
+ * A recorder can tap the raw traffic (see recorder.js): every message
+ * received and every subscribe/unsubscribe sent, with the local time.
+ */
+
+const WS_URL = 'wss://ws-feed.exchange.coinbase.com'
+
+const STALE_AFTER = 10000
+const WATCHDOG_INTERVAL = 2000
+// Keep an idle connection around briefly - a market switch unsubscribes
+// and resubscribes in the same tick
+const IDLE_CLOSE_AFTER = 5000
+
+// Which channel each message type belongs to
+export const MESSAGE_CHANNELS = {
+  ticker: 'ticker',
+  snapshot: 'level2_batch',
+  l2update: 'level2_batch',
+  match: 'matches',
+  last_match: 'matches',
+}
+
+// Channels whose state only arrives on subscribe: a late joiner needs
+// the channel re-subscribed to get its own snapshot
+const SNAPSHOT_CHANNELS = ['level2_batch']
+
+function createFeed(url) {
+  // `${channel}:${productId}` -> Set of subscribers
+  const subscriptions = new Map()
+  let socket = null
+  let status = 'connecting'
+  let lastMessageAt = 0
+  let watchdog = null
+  let idleTimer = null
+  // (entry: { t, dir: 'in' | 'out', msg }) => void
+  let tap = null
+
+  const record = (dir, msg) => tap?.({ t: Date.now(), dir, msg })
+
+  const keyOf = (channel, productId) => `${channel}:${productId}`
+
+  const activeProducts = () => new Set(
+    Array.from(subscriptions.keys()).map(key => key.split(':')[1])
+  )
+
+  // Every live subscription (plus heartbeats) in one payload
+  const subscribePayload = () => {
+    const channels = new Map()
+    subscriptions.forEach((subscribers, key) => {
+      const [channel, productId] = key.split(':')
+      if (!channels.has(channel)) channels.set(channel, [])
+      channels.get(channel).push(productId)
+    })
+    if (!channels.size) return null
+
+    channels.set('heartbeat', Array.from(activeProducts()))
+    return {
+      type: 'subscribe',
+      channels: Array.from(channels, ([name, productIds]) => ({ name, product_ids: productIds })),
+    }
+  }
+
+  const send = (type, channels) => {
+    if (socket && status === 'connected') {
+      record('out', { type, channels })
+      socket.send({ type, channels })
+    }
+  }
+
+  const setStatus = (next) => {
+    status = next
+    if (next === 'connected') lastMessageAt = Date.now()
+    subscriptions.forEach(subscribers => {
+      subscribers.forEach(subscriber => subscriber.onStatus(next))
+    })
+  }
+
+  const dispatch = (msg) => {
+    lastMessageAt = Date.now()
+    record('in', msg)
+
+    if (msg.type === 'error') {
+      console.error(`Coinbase feed error: ${msg.message}${msg.reason ? ` (${msg.reason})` : ''}`)
+      return
+    }
+
+    if (msg.type === 'heartbeat') {
+      subscriptions.forEach((subscribers, key) => {
+        if (key.split(':')[1] !== msg.product_id) return
+        subscribers.forEach(subscriber => subscriber.onMessage(msg))
+      })
+      return
+    }
+
+    const channel = MESSAGE_CHANNELS[msg.type]
+    if (!channel || !msg.product_id) return
+    subscriptions.get(keyOf(channel, msg.product_id))?.forEach(subscriber => subscriber.onMessage(msg))
+  }
+
+  const connect = () => {
+    status = 'connecting'
+    socket = openSocket({
+      url,
+      subscribe: () => {
+        const payload = subscribePayload()
+        if (payload) record('out', payload)
+        return payload
+      },
+      onMessage: dispatch,
+      onStatus: setStatus,
+    })
+
+    watchdog = setInterval(() => {
+      if (status !== 'connected' || Date.now() - lastMessageAt < STALE_AFTER) return
+      console.warn(`Coinbase feed silent for ${STALE_AFTER / 1000}s, reconnecting`)
+      lastMessageAt = Date.now()
+      socket.reconnect()
+    }, WATCHDOG_INTERVAL)
+  }
+
+  // Coinbase answers a fresh subscribe with a fresh snapshot
+  const resubscribe = (channel, productId) => {
+    const channels = [{ name: channel, product_ids: [productId] }]
+    send('unsubscribe', channels)
+    send('subscribe', channels)
+  }
+
+  const disconnect = () => {
+    clearInterval(watchdog)
+    socket.close()
+    socket = null
+    status = 'connecting'
+  }
+
+  return {
+    /**
+     * Subscribe to one channel for one product
+     *
+     * @returns {Function} unsubscribe
+     */
+    subscribe({ channel, productId, onMessage, onStatus = () => {} }) {
+      const key = keyOf(channel, productId)
+      const subscriber = { onMessage, onStatus }
+      const isNewProduct = !activeProducts().has(productId)
+
+      clearTimeout(idleTimer)
+      if (!socket) connect()
+
+      if (!subscriptions.has(key)) {
+        subscriptions.set(key, new Set([subscriber]))
+        const channels = [{ name: channel, product_ids: [productId] }]
+        if (isNewProduct) channels.push({ name: 'heartbeat', product_ids: [productId] })
+        send('subscribe', channels)
+      } else {
+        subscriptions.get(key).add(subscriber)
+        if (SNAPSHOT_CHANNELS.includes(channel)) resubscribe(channel, productId)
+      }
+
+      onStatus(status)
+
+      return () => {
+        const subscribers = subscriptions.get(key)
+        if (!subscribers?.delete(subscriber) || subscribers.size) return
+
+        subscriptions.delete(key)
+        const channels = [{ name: channel, product_ids: [productId] }]
+        if (!activeProducts().has(productId)) channels.push({ name: 'heartbeat', product_ids: [productId] })
+        send('unsubscribe', channels)
+
+        if (!subscriptions.size) {
+          idleTimer = setTimeout(() => {
+            if (!subscriptions.size && socket) disconnect()
+          }, IDLE_CLOSE_AFTER)
+        }
+      }
+    },
+
+    /**
+     * Unsubscribe and subscribe a channel again - every subscriber
+     * to it gets the new snapshot
+     */
+    resubscribe,
+
+    /**
+     * Tap the raw traffic until the returned function is called
+     *
+     * Every live subscription is re-subscribed straight away, so the
+     * capture opens with the subscribe payloads and fresh snapshots.
+     *
+     * @returns {Function} stop
+     */
+    record(onEntry) {
+      tap = onEntry
+      Array.from(subscriptions.keys()).forEach(key => resubscribe(...key.split(':')))
+      return () => {
+        if (tap === onEntry) tap = null
+      }
+    },
+  }
+}
+
+export const coinbaseFeed = createFeed(WS_URL)
@@ -0,0 +1,128 @@
+import { normalizeTicker } from './normalize'
+import { inferInterval, mergeVolumes } from '../utils/candles'
+
+/**
+ * CoinGecko adapter
+ * 
+ * REST only - no WebSocket, so the ticker is polled.
+ * Works everywhere and doesn't require API keys, which makes it
+ * the go-to source for chart history.
+ */
+
+const API_BASE = 'https://api.coingecko.com/api/v3'
+const POLL_INTERVAL = 10000
+
+const TIMEFRAME_CONFIG = {
+  '24H': { days: '1' },
+  '7D': { days: '7' },
+  '30D': { days: '30' },
+  '6M': { days: '180' },
+  '1Y': { days: '365' },
+  '2Y': { days: '730' },
+  '3Y': { days: '1095' },
+  '5Y': { days: '1825' },
+  '10Y': { days: 'max' },  // CoinGecko 'max' gives all available history
+}
+
+export const coingecko = {
+  id: 'coingecko',
+  name: 'CoinGecko',
+  color: '#8DC63F',
+
+  subscribeTicker({ market, onTicker, onStatus }) {
+    if (!market.coingeckoId) {
+      onStatus('unavailable')
+      return () => {}
+    }
+
+    let cancelled = false
+    const quote = market.feedQuote.toLowerCase()
+
+    const poll = async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE}/coins/${market.coingeckoId}?localization=false&tickers=false&community_data=false&developer_data=false&sparkline=false`
+        )
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+        const coin = await response.json()
+        const data = coin.market_data
+        if (cancelled) return
+
+        onTicker(normalizeTicker({
+          price: data.current_price[quote],
+          high24h: data.high_24h[quote],
+          low24h: data.low_24h[quote],
+          quoteVolume24h: data.total_volume[quote],
+          priceChange: data.price_change_24h_in_currency[quote],
+          priceChangePercent: data.price_change_percentage_24h_in_currency[quote],
+          time: Date.parse(data.last_updated) || Date.now(),
+        }))
+        onStatus('connected')
+      } catch (err) {
+        console.error('CoinGecko error:', err)
+        if (!cancelled) onStatus('error')
+      }
+    }
+
+    onStatus('connecting')
+    poll()
+    const interval = setInterval(poll, POLL_INTERVAL)
+
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+    }
+  },
+
+  async fetchCandles(timeframe, market) {
+    const config = TIMEFRAME_CONFIG[timeframe]
+    if (!config) return []
+    if (!market.coingeckoId) {
+      throw new Error(`No CoinGecko data for ${market.base}`)
+    }
+
+    const vsCurrency = market.feedQuote.toLowerCase()
+    const [response, totalVolumes] = await Promise.all([
+      fetch(`${API_BASE}/coins/${market.coingeckoId}/ohlc?vs_currency=${vsCurrency}&days=${config.days}`),
+      fetchTotalVolumes(market.coingeckoId, vsCurrency, config.days),
+    ])
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const data = await response.json()
+
+    // CoinGecko returns [timestamp, open, high, low, close]
+    const candles = data.map(candle => ({
+      time: Math.floor(candle[0] / 1000),
+      open: candle[1],
+      high: candle[2],
+      low: candle[3],
+      close: candle[4],
+      volume: 0, // /ohlc has no volume - filled in from market_chart below
+    }))
+
+    // CoinGecko stamps candles at their close; the rest of the app (live
+    // bars, resampling) works in open times, so shift back one bar
+    const interval = inferInterval(candles) || 0
+    return mergeVolumes(candles, totalVolumes).map(candle => ({ ...candle, time: candle.time - interval }))
+  },
+}
+
+/**
+ * Fetch total_volumes from /market_chart
+ * 
+ * Volume is a nice-to-have, so failures resolve to an empty list
+ * and the chart still renders prices.
+ */
+async function fetchTotalVolumes(coinId, vsCurrency, days) {
+  try {
+    const response = await fetch(`${API_BASE}/coins/${coinId}/market_chart?vs_currency=${vsCurrency}&days=${days}`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const data = await response.json()
+    return data.total_volumes || []
+  } catch (err) {
+    console.error('Failed to fetch volumes:', err)
+    return []
+  }
+}
@@ -0,0 +1,116 @@
+import { getProvider } from './index'
+
+/**
+ * Failover ticker - chains several providers behind one subscribeTicker
+ * 
+ * Strategy:
+ * - Feed from the first provider in the chain
+ * - If it closes, errors, or goes silent for `staleAfter` ms,
+ *   move to the next one. Silent means no traffic at all - a provider's
+ *   heartbeats (onActivity) count, so an illiquid market that trades
+ *   once a minute doesn't fail over
+ * - Higher-priority feeds stay subscribed (their own reconnect logic keeps
+ *   retrying), and as soon as one delivers a ticker again we switch back
+ * 
+ * e.g. Coinbase WS -> Binance WS -> CoinGecko REST
+ */
+
+const DEFAULT_STALE_AFTER = 15000
+const WATCHDOG_INTERVAL = 1000
+
+export function createFailoverTicker(providerIds, { staleAfter = DEFAULT_STALE_AFTER } = {}) {
+  const providers = providerIds.map(id => getProvider(id, 'subscribeTicker'))
+
+  return {
+    id: `failover:${providerIds.join(',')}`,
+    name: providers[0].name,
+
+    subscribeTicker({ market, onTicker, onStatus, onSource = () => {} }) {
+      // One slot per provider: { unsubscribe, status, connected, lastMessage, openedAt }
+      const feeds = providers.map(() => null)
+      let active = -1
+
+      const start = (index) => {
+        const feed = {
+          unsubscribe: () => {},
+          status: 'connecting',
+          connected: false,
+          lastMessage: null,
+          openedAt: Date.now(),
+        }
+        feeds[index] = feed
+
+        feed.unsubscribe = providers[index].subscribeTicker({
+          market,
+          onActivity: () => {
+            feed.lastMessage = Date.now()
+          },
+          onTicker: (ticker) => {
+            feed.lastMessage = Date.now()
+
+            // A higher-priority feed is back - prefer it again
+            if (index < active) activate(index)
+            if (index === active) onTicker(ticker)
+          },
+          onStatus: (status) => {
+            const closed = feed.connected && status !== 'connected'
+            const failed = closed || status === 'error' || status === 'unavailable'
+
+            feed.status = status
+            feed.connected = status === 'connected'
+
+            if (index !== active) return
+            onStatus(status)
+            if (failed) failover()
+          },
+        })
+      }
+
+      const activate = (index) => {
+        if (index === active) return
+        active = index
+
+        // Drop lower-priority feeds, make sure everything up to `index` is running
+        feeds.forEach((feed, i) => {
+          if (feed && i > index) {
+            feed.unsubscribe()
+            feeds[i] = null
+          }
+        })
+        for (let i = 0; i <= index; i++) {
+          if (!feeds[i]) start(i)
+        }
+
+        // Starting a feed can fail synchronously and fail over again
+        if (active !== index) return
+
+        onSource(providers[index], index)
+        onStatus(feeds[index].status)
+      }
+
+      const failover = () => {
+        if (active < providers.length - 1) {
+          activate(active + 1)
+        }
+      }
+
+      // Catch feeds that are connected but have stopped talking
+      const watchdog = setInterval(() => {
+        const feed = feeds[active]
+        if (!feed) return
+
+        const lastActivity = feed.lastMessage ?? feed.openedAt
+        if (Date.now() - lastActivity > staleAfter) {
+          failover()
+        }
+      }, WATCHDOG_INTERVAL)
+
+      activate(0)
+
+      return () => {
+        clearInterval(watchdog)
+        feeds.forEach(feed => feed?.unsubscribe())
+      }
+    },
+  }
+}
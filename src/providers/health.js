@@ -0,0 +1,178 @@
+import { now as marketNow } from '../utils/clock'
+
+/**
+ * Feed health registry - connection diagnostics for every live stream
+ *
+ * Provider streams are wrapped once in the registry (withHealth), so
+ * every subscriber - hooks, failover, heatmap - is measured without
+ * knowing about it. One entry per provider + stream + product:
+ * - status: the socket status ('connecting' | 'connected' | 'error' | 'unavailable')
+ * - message rate over the last RATE_WINDOW, and when the last one arrived
+ * - latency: receive time minus the exchange's event timestamp (median of
+ *   the last few; includes any local clock offset, so it can go negative;
+ *   measured on the market clock, so a replay shows the recorded latency)
+ * - reconnects: times the stream came back after having been connected
+ * - errors: the last MAX_ERRORS problems, newest first
+ *
+ * Several subscribers to the same stream get the same events, so only
+ * the oldest one (the owner) is counted.
+ */
+
+const RATE_WINDOW = 10000
+const LATENCY_SAMPLES = 50
+const MAX_ERRORS = 20
+
+const STREAM_CALLBACKS = {
+  subscribeTicker: ['ticker', 'onTicker'],
+  subscribeBook: ['book', 'onBook'],
+  subscribeTrades: ['trades', 'onTrade'],
+}
+
+const STATUS_ERRORS = {
+  error: 'Connection error',
+  unavailable: 'Gave up reconnecting',
+}
+
+// key -> entry
+const feeds = new Map()
+
+const keyOf = (providerId, stream, productId) => `${providerId}:${stream}:${productId}`
+
+function addError(entry, message) {
+  entry.errors = [{ time: Date.now(), message }, ...entry.errors].slice(0, MAX_ERRORS)
+}
+
+/**
+ * Start measuring one subscription
+ *
+ * @returns {Object} { status(status), message(exchangeTime), close() }
+ */
+function trackFeed(provider, stream, market) {
+  const key = keyOf(provider.id, stream, market.productId)
+  let entry = feeds.get(key)
+  if (!entry) {
+    entry = {
+      key,
+      provider: provider.name,
+      stream,
+      productId: market.productId,
+      status: 'connecting',
+      handles: [],
+      messageTimes: [],
+      lastMessageAt: null,
+      latencies: [],
+      reconnects: 0,
+      everConnected: false,
+      errors: [],
+    }
+    feeds.set(key, entry)
+  }
+
+  const handle = {
+    status(status) {
+      if (entry.handles[0] !== handle || status === entry.status) return
+
+      if (status === 'connected') {
+        if (entry.everConnected) entry.reconnects++
+        entry.everConnected = true
+      }
+      if (STATUS_ERRORS[status]) addError(entry, STATUS_ERRORS[status])
+      entry.status = status
+    },
+    message(exchangeTime) {
+      if (entry.handles[0] !== handle) return
+
+      const now = Date.now()
+      entry.lastMessageAt = now
+      entry.messageTimes.push(now)
+      while (entry.messageTimes[0] < now - RATE_WINDOW) entry.messageTimes.shift()
+
+      if (exchangeTime) {
+        entry.latencies.push(marketNow() - exchangeTime)
+        if (entry.latencies.length > LATENCY_SAMPLES) entry.latencies.shift()
+      }
+    },
+    close() {
+      entry.handles = entry.handles.filter(h => h !== handle)
+      if (!entry.handles.length) feeds.delete(key)
+    },
+  }
+
+  entry.handles.push(handle)
+  return handle
+}
+
+/**
+ * Wrap a provider so its streams report into the registry
+ */
+export function withHealth(provider) {
+  const wrapped = { ...provider }
+
+  Object.entries(STREAM_CALLBACKS).forEach(([method, [stream, callback]]) => {
+    if (typeof provider[method] !== 'function') return
+
+    wrapped[method] = (options) => {
+      const handle = trackFeed(provider, stream, options.market)
+      const result = provider[method]({
+        ...options,
+        [callback]: (event) => {
+          handle.message(event.time)
+          options[callback](event)
+        },
+        onStatus: (status) => {
+          handle.status(status)
+          options.onStatus?.(status)
+        },
+      })
+
+      // subscribeBook hands back { unsubscribe, resync }, the rest a function
+      if (typeof result === 'function') {
+        return () => {
+          handle.close()
+          result()
+        }
+      }
+      return {
+        ...result,
+        unsubscribe: () => {
+          handle.close()
+          result.unsubscribe()
+        },
+      }
+    }
+  })
+
+  return wrapped
+}
+
+/**
+ * Record a problem found above the socket (e.g. a book resync)
+ */
+export function reportFeedError(providerId, stream, productId, message) {
+  const entry = feeds.get(keyOf(providerId, stream, productId))
+  if (entry) addError(entry, message)
+}
+
+/**
+ * Point-in-time view of every live stream, for the diagnostics panel
+ */
+export function getFeedHealth(now = Date.now()) {
+  return Array.from(feeds.values()).map(entry => {
+    const recent = entry.messageTimes.filter(time => time >= now - RATE_WINDOW)
+    const sorted = [...entry.latencies].sort((a, b) => a - b)
+
+    return {
+      key: entry.key,
+      provider: entry.provider,
+      stream: entry.stream,
+      productId: entry.productId,
+      status: entry.status,
+      subscribers: entry.handles.length,
+      messageRate: recent.length / (RATE_WINDOW / 1000),
+      lastMessageAge: entry.lastMessageAt ? now - entry.lastMessageAt : null,
+      latency: sorted.length ? sorted[Math.floor(sorted.length / 2)] : null,
+      reconnects: entry.reconnects,
+      errors: entry.errors,
+    }
+  })
+}
@@ -0,0 +1,55 @@
+import { coinbase } from './coinbase'
+import { binance } from './binance'
+import { coingecko } from './coingecko'
+import { replayProvider } from './replay'
+import { withHealth } from './health'
+
+/**
+ * Market-data provider registry
+ * 
+ * Every provider implements whichever of these it can:
+ * - subscribeTicker({ market, onTicker, onStatus, onActivity? }) -> unsubscribe
+ *   (onActivity: optional, called on any traffic for the market -
+ *   heartbeats included - so a quiet ticker isn't mistaken for a dead one)
+ * - subscribeBook({ market, onBook, onStatus })     -> { unsubscribe, resync }
+ * - subscribeTrades({ market, onTrade, onStatus })  -> unsubscribe
+ * - fetchCandles(timeframe, market, interval?, since?, signal?) -> Promise<candles>
+ *   (interval: see src/timeframes.js - only providers listed in
+ *   PROVIDER_CONFIG.intervalCandles need to honour it. since: unix
+ *   seconds - providers that can fetch just the tail from there do
+ *   and set candleTail: true, the rest return the full range. signal:
+ *   an AbortSignal - providers that make several requests stop when
+ *   it fires. Set cacheCandles: false to keep the series out of the
+ *   local history)
+ * - fetchRate(from, to)                             -> Promise<number>
+ * 
+ * `market` comes from src/markets.js - providers stream its feed pair
+ * (productId / feedQuote); conversion to the display quote happens
+ * in the UI layer (utils/conversion.js).
+ * Event shapes are documented in ./normalize.js
+ * 
+ * Streams are wrapped to report connection health (see ./health.js).
+ */
+
+export const PROVIDERS = {
+  coinbase: withHealth(coinbase),
+  binance: withHealth(binance),
+  coingecko: withHealth(coingecko),
+  // A loaded recording (see ./replay.js, REPLAY_PROVIDER_CONFIG)
+  replay: withHealth(replayProvider),
+}
+
+/**
+ * Look up a provider, optionally checking it implements a method
+ * (misconfiguration should fail loudly, not render an empty panel)
+ */
+export function getProvider(id, method) {
+  const provider = PROVIDERS[id]
+  if (!provider) {
+    throw new Error(`Unknown market-data provider: ${id}`)
+  }
+  if (method && typeof provider[method] !== 'function') {
+    throw new Error(`Provider ${provider.name} does not support ${method}`)
+  }
+  return provider
+}
@@ -0,0 +1,180 @@
+import { bestPrice } from '../utils/orderBook'
+import { reportFeedError } from './health'
+
+/**
+ * Local order book kept in sync with a provider's book feed
+ * 
+ * Providers emit either full snapshots or incremental changes.
+ * We keep a local book in price -> size maps and apply both,
+ * so incremental feeds (Coinbase) and snapshot feeds (Binance)
+ * look the same to consumers.
+ * 
+ * Incremental books can silently drift (dropped or reordered batches).
+ * Coinbase's level2_batch carries no sequence numbers, so a dropped
+ * batch can't be detected directly - only its likely symptoms. The
+ * provider is asked for a fresh snapshot when:
+ * - an update is timestamped before the last one applied
+ * - the book is crossed (best bid >= best ask)
+ * - no events at all (not even heartbeats) arrive for STALE_AFTER
+ * A gap that leaves the book plausible goes unnoticed until the next
+ * snapshot. Updates that arrive before any snapshot are dropped.
+ * 
+ * onBook({ bids, asks }) gets the live maps after every applied event -
+ * read them, don't keep mutating them.
+ * onSync: 'synced' | 'resyncing' | 'stale'
+ * 
+ * One local book is kept per provider + product, however many panels
+ * (ladder, heatmap, consolidated view) read it: later subscribers share
+ * it and get its current book, status and sync state straight away.
+ */
+
+const STALE_AFTER = 10000
+const WATCHDOG_INTERVAL = 2000
+
+// `${providerId}:${productId}` -> { subscribers, book, status, sync, close }
+const sharedBooks = new Map()
+
+export function subscribeLocalBook({ provider, market, onBook, onStatus = () => {}, onSync = () => {} }) {
+  const key = `${provider.id}:${market.productId}`
+  let shared = sharedBooks.get(key)
+
+  if (!shared) {
+    const entry = { subscribers: new Set(), book: null, status: 'connecting', sync: 'resyncing' }
+    sharedBooks.set(key, entry)
+    entry.close = openLocalBook({
+      provider,
+      market,
+      onBook: (book) => {
+        entry.book = book
+        entry.subscribers.forEach(subscriber => subscriber.onBook(book))
+      },
+      onStatus: (status) => {
+        entry.status = status
+        entry.subscribers.forEach(subscriber => subscriber.onStatus(status))
+      },
+      onSync: (sync) => {
+        entry.sync = sync
+        entry.subscribers.forEach(subscriber => subscriber.onSync(sync))
+      },
+    })
+    shared = entry
+  }
+
+  const subscriber = { onBook, onStatus, onSync }
+  shared.subscribers.add(subscriber)
+  onStatus(shared.status)
+  onSync(shared.sync)
+  if (shared.book) onBook(shared.book)
+
+  return () => {
+    shared.subscribers.delete(subscriber)
+    if (shared.subscribers.size) return
+    sharedBooks.delete(key)
+    shared.close()
+  }
+}
+
+function openLocalBook({ provider, market, onBook, onStatus, onSync }) {
+  const bids = new Map()
+  const asks = new Map()
+
+  let hasSnapshot = false
+  let lastUpdateTime = null
+  let lastEventAt = Date.now()
+  let lastResyncAt = 0
+  // Assigned below - a resync can't be requested before the feed is open
+  let subscription = null
+
+  const requestResync = (reason, nextSync = 'resyncing') => {
+    console.warn(`Order book resync (${provider.name} ${market.productId}): ${reason}`)
+    reportFeedError(provider.id, 'book', market.productId, `Book resync: ${reason}`)
+    hasSnapshot = false
+    lastResyncAt = Date.now()
+    onSync(nextSync)
+    subscription?.resync()
+  }
+
+  onSync('resyncing')
+
+  subscription = provider.subscribeBook({
+    market,
+    onBook: (event) => {
+      lastEventAt = Date.now()
+
+      if (event.type === 'heartbeat') return
+
+      if (event.type === 'snapshot') {
+        bids.clear()
+        asks.clear()
+
+        // Levels are [price, size]
+        event.bids.forEach(([price, size]) => {
+          bids.set(price, size)
+        })
+        event.asks.forEach(([price, size]) => {
+          asks.set(price, size)
+        })
+
+        hasSnapshot = true
+        lastUpdateTime = null
+        onSync('synced')
+      }
+
+      if (event.type === 'update') {
+        // Waiting on a snapshot - these changes have nothing to apply to
+        if (!hasSnapshot) return
+
+        if (event.time && lastUpdateTime && event.time < lastUpdateTime) {
+          requestResync('out-of-order update')
+          return
+        }
+        lastUpdateTime = event.time ?? lastUpdateTime
+
+        event.changes.forEach(([side, price, size]) => {
+          const map = side === 'buy' ? bids : asks
+          
+          if (parseFloat(size) === 0) {
+            map.delete(price)
+          } else {
+            map.set(price, size)
+          }
+        })
+      }
+
+      const bestBid = bestPrice(bids, 'bid')
+      const bestAsk = bestPrice(asks, 'ask')
+      if (bestBid !== null && bestAsk !== null && bestBid >= bestAsk) {
+        requestResync(`crossed book (bid ${bestBid} >= ask ${bestAsk})`)
+        return
+      }
+
+      onBook({ bids, asks })
+    },
+    onStatus: (status) => {
+      onStatus(status)
+
+      // A reconnect re-subscribes, so a new snapshot is on its way
+      if (status !== 'connected') {
+        hasSnapshot = false
+        onSync('resyncing')
+      }
+    },
+  })
+
+  // Silent feed: flag it, and keep asking for a snapshot while it lasts
+  const watchdog = setInterval(() => {
+    const now = Date.now()
+    if (now - lastEventAt < STALE_AFTER) return
+
+    if (now - lastResyncAt >= STALE_AFTER) {
+      requestResync('no messages', 'stale')
+    } else {
+      onSync('stale')
+    }
+  }, WATCHDOG_INTERVAL)
+
+  return () => {
+    clearInterval(watchdog)
+    subscription.unsubscribe()
+  }
+}
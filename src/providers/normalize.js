@@ -0,0 +1,53 @@
+/**
+ * Shared event shapes for all providers
+ * 
+ * Ticker: { price, open24h, high24h, low24h, volume24h, quoteVolume24h,
+ *           priceChange, priceChangePercent, bestBid, bestAsk, time }
+ *   volume24h is always base currency (ETH), quoteVolume24h always quote (USD for ETH-USD)
+ *   bestBid/bestAsk are null where the feed doesn't carry the top of book
+ * 
+ * Book:   { type: 'snapshot', bids: [[price, size]], asks: [[price, size]] }
+ *         { type: 'update', changes: [['buy' | 'sell', price, size]], time? }
+ *         { type: 'heartbeat', time } (connection alive, book unchanged)
+ *   prices/sizes stay strings so they can be used as stable map keys
+ * 
+ * Trade:  { id, price, size, side: 'buy' | 'sell', time (ms) }
+ *   side is the taker (aggressor) side - a 'buy' lifted the offer
+ * 
+ * Candle: { time (sec), open, high, low, close, volume }
+ *   volume is quote currency so it formats like the 24h volume
+ */
+
+/**
+ * Fill in whatever the exchange didn't send (change, the other volume)
+ */
+export function normalizeTicker({
+  price,
+  open24h = null,
+  high24h = null,
+  low24h = null,
+  volume24h = null,
+  quoteVolume24h = null,
+  priceChange,
+  priceChangePercent,
+  bestBid = null,
+  bestAsk = null,
+  time = Date.now(),
+}) {
+  const change = priceChange ?? (open24h ? price - open24h : null)
+  const changePercent = priceChangePercent ?? (open24h ? ((price - open24h) / open24h) * 100 : null)
+
+  return {
+    price,
+    open24h: open24h ?? (change !== null ? price - change : null),
+    high24h,
+    low24h,
+    volume24h: volume24h ?? (quoteVolume24h && price ? quoteVolume24h / price : null),
+    quoteVolume24h: quoteVolume24h ?? (volume24h && price ? volume24h * price : null),
+    priceChange: change,
+    priceChangePercent: changePercent,
+    bestBid: bestBid || null,
+    bestAsk: bestAsk || null,
+    time,
+  }
+}
@@ -0,0 +1,149 @@
+import { coinbaseFeed } from './coinbaseFeed'
+
+/**
+ * Session recorder - the raw Coinbase socket traffic, as NDJSON
+ *
+ * Taps the shared socket (coinbaseFeed.js), so it captures everything
+ * the price and book streams (and the tape, which rides along) receive,
+ * exactly as parsed off the wire, plus every subscribe sent. Starting
+ * re-subscribes the live channels, so a capture always opens with the
+ * subscribe payload and a fresh book snapshot.
+ *
+ * The file is the format replay.js plays back:
+ *   { "type": "recording", "version": 1, "source": "coinbase", "startedAt": ms }
+ *   { "t": receivedAt (ms), "dir": "in" | "out", "msg": { ...raw message } }
+ *   ...
+ *
+ * Lines are serialized as they arrive and packed into a Blob every
+ * CHUNK_BYTES, so the capture lives in the browser's blob storage rather
+ * than as millions of JS strings, and the file is just those chunks -
+ * nothing is joined or copied to save it. Sizes are UTF-8 bytes, as
+ * written. Even so a busy book runs to hundreds of MB an hour, so a
+ * capture stops itself at MAX_BYTES and waits to be saved
+ * (state.pending); past WARN_BYTES the UI warns.
+ */
+
+const RECORDING_VERSION = 1
+// Serialized size where a capture stops, and where the UI starts warning
+export const MAX_BYTES = 200 * 1024 * 1024
+export const WARN_BYTES = 150 * 1024 * 1024
+// Serialized lines are moved into a Blob at this size
+const CHUNK_BYTES = 1024 * 1024
+const MIME_TYPE = 'application/x-ndjson'
+// Counters are published this often while recording
+const STATE_REFRESH = 1000
+
+const encoder = new TextEncoder()
+
+function createRecorder(feed) {
+  // Finished Blobs, then lines not packed into one yet
+  let chunks = []
+  let lines = []
+  let lineBytes = 0
+  let stopTap = null
+  let refreshTimer = null
+  let startedAt = null
+  let messages = 0
+  let bytes = 0
+  // A capture stopped at the limit, until it's taken
+  let pending = null
+  const products = new Set()
+  const listeners = new Set()
+
+  const snapshotState = () => ({
+    recording: !!stopTap,
+    pending: !!pending,
+    startedAt,
+    messages,
+    bytes,
+  })
+  let state = snapshotState()
+
+  const notify = () => {
+    state = snapshotState()
+    listeners.forEach(listener => listener())
+  }
+
+  const pack = () => {
+    if (!lines.length) return
+    chunks.push(new Blob(lines, { type: MIME_TYPE }))
+    lines = []
+    lineBytes = 0
+  }
+
+  const write = (entry) => {
+    const line = JSON.stringify(entry) + '\n'
+    const size = encoder.encode(line).length
+    lines.push(line)
+    lineBytes += size
+    bytes += size
+    if (lineBytes >= CHUNK_BYTES) pack()
+  }
+
+  const finish = () => {
+    stopTap()
+    stopTap = null
+    clearInterval(refreshTimer)
+    pack()
+
+    const capture = {
+      blob: new Blob(chunks, { type: MIME_TYPE }),
+      products: Array.from(products),
+      startedAt,
+      messages,
+    }
+    chunks = []
+    return capture
+  }
+
+  return {
+    getState: () => state,
+
+    subscribeState(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    start() {
+      if (stopTap) return
+
+      pending = null
+      chunks = []
+      lines = []
+      lineBytes = 0
+      messages = 0
+      bytes = 0
+      products.clear()
+      startedAt = Date.now()
+      write({ type: 'recording', version: RECORDING_VERSION, source: 'coinbase', startedAt })
+
+      stopTap = feed.record((entry) => {
+        write(entry)
+        if (entry.dir === 'in') messages++
+        if (entry.msg.product_id) products.add(entry.msg.product_id)
+
+        // Stopped, not dropped: the UI shows it as pending until saved
+        if (bytes >= MAX_BYTES) {
+          pending = finish()
+          notify()
+        }
+      })
+      refreshTimer = setInterval(notify, STATE_REFRESH)
+      notify()
+    },
+
+    /**
+     * Stop and hand back the capture - or the one stopped at the limit
+     *
+     * @returns {Object|null} { blob (NDJSON), products, startedAt, messages }
+     */
+    stop() {
+      const capture = stopTap ? finish() : pending
+      pending = null
+      notify()
+      return capture
+    },
+  }
+}
+
+export const recorder = createRecorder(coinbaseFeed)
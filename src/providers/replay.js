@@ -0,0 +1,371 @@
+import { createCoinbaseStreams } from './coinbase'
+import { MESSAGE_CHANNELS } from './coinbaseFeed'
+import { resampleCandles } from '../utils/candles'
+import { setClockSource } from '../utils/clock'
+import { INTERVALS } from '../timeframes'
+
+/**
+ * Replay of a recorded Coinbase session
+ *
+ * Stands in for the live socket (coinbaseFeed.js): the provider below is
+ * built with the same createCoinbaseStreams as the live one, so recorded
+ * messages go through exactly the handlers - local book, failover, health,
+ * tape - that live ones do, with no network at all.
+ *
+ * A recording is NDJSON, one received message per line:
+ *   { "t": receivedAt (ms), "dir": "in", "msg": { ...raw feed message } }
+ * Lines without a message (a header) or sent the other way ("dir": "out",
+ * subscribe payloads) are skipped.
+ *
+ * Playback runs on the wall clock scaled by the speed. Like the exchange,
+ * the replay answers every subscribe with the current state - a book
+ * snapshot rebuilt from everything played so far, the last ticker, the
+ * last trade - and sends heartbeats (in wall time, so a paused replay
+ * doesn't look like a dead feed). While a recording is loaded it also
+ * drives the market clock (utils/clock.js).
+ *
+ * Seeking rebuilds that state without dispatching anything and starts
+ * a new session: the app remounts its panels, which subscribe afresh.
+ */
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 25, 50]
+
+const FRAME_INTERVAL = 50
+const HEARTBEAT_INTERVAL = 1000
+// Playback position is published this often (controls, not the feed)
+const POSITION_REFRESH = 200
+// Candle size when the chart asks for 'auto'
+const AUTO_CANDLE_SECONDS = 60
+
+/**
+ * Parse an NDJSON recording
+ *
+ * @returns {Object} { messages: [{ t, msg }], start, end, products }
+ */
+export function parseRecording(text) {
+  const messages = []
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return
+
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (err) {
+      throw new Error(`Line ${i + 1} is not valid JSON`)
+    }
+    if (!entry.msg || entry.dir === 'out' || typeof entry.t !== 'number') return
+    messages.push({ t: entry.t, msg: entry.msg })
+  })
+
+  if (!messages.length) throw new Error('No feed messages in the recording')
+  messages.sort((a, b) => a.t - b.t)
+
+  return {
+    messages,
+    start: messages[0].t,
+    end: messages[messages.length - 1].t,
+    products: [...new Set(messages.map(entry => entry.msg.product_id).filter(Boolean))],
+  }
+}
+
+const byPriceDesc = (a, b) => parseFloat(b[0]) - parseFloat(a[0])
+const byPriceAsc = (a, b) => parseFloat(a[0]) - parseFloat(b[0])
+
+function createReplay() {
+  let recording = null
+  let fileName = null
+  // Next message to play, and the virtual time (ms)
+  let index = 0
+  let position = 0
+  let playing = false
+  let speed = 1
+  let session = 0
+  let frameTimer = null
+  let heartbeatTimer = null
+  let lastFrameAt = 0
+  let lastNotifyAt = 0
+
+  // productId -> { bids: Map, asks: Map } (price string -> size string)
+  const books = new Map()
+  // `${channel}:${productId}` -> last message, for late subscribers
+  const lastMessages = new Map()
+  // `${channel}:${productId}` -> Set of subscribers
+  const subscriptions = new Map()
+  const listeners = new Set()
+
+  const keyOf = (channel, productId) => `${channel}:${productId}`
+
+  const snapshotState = () => ({
+    active: !!recording,
+    fileName,
+    playing,
+    speed,
+    position,
+    start: recording?.start ?? 0,
+    end: recording?.end ?? 0,
+    products: recording?.products ?? [],
+    session,
+  })
+  let state = snapshotState()
+
+  const notify = () => {
+    lastNotifyAt = Date.now()
+    state = snapshotState()
+    listeners.forEach(listener => listener())
+  }
+
+  // Fold a message into the replay's own view of the market
+  const apply = (msg) => {
+    const productId = msg.product_id
+    if (!productId) return
+
+    if (msg.type === 'snapshot') {
+      books.set(productId, {
+        bids: new Map(msg.bids.map(([price, size]) => [price, size])),
+        asks: new Map(msg.asks.map(([price, size]) => [price, size])),
+      })
+    } else if (msg.type === 'l2update') {
+      const book = books.get(productId)
+      if (!book) return
+      msg.changes.forEach(([side, price, size]) => {
+        const levels = side === 'buy' ? book.bids : book.asks
+        if (parseFloat(size) === 0) levels.delete(price)
+        else levels.set(price, size)
+      })
+    } else if (msg.type === 'ticker' || msg.type === 'match' || msg.type === 'last_match') {
+      lastMessages.set(keyOf(MESSAGE_CHANNELS[msg.type], productId), msg)
+    }
+  }
+
+  // Same routing as the live feed
+  const dispatch = (msg) => {
+    if (msg.type === 'heartbeat') {
+      subscriptions.forEach((subscribers, key) => {
+        if (key.split(':')[1] !== msg.product_id) return
+        subscribers.forEach(subscriber => subscriber.onMessage(msg))
+      })
+      return
+    }
+
+    const channel = MESSAGE_CHANNELS[msg.type]
+    if (!channel || !msg.product_id) return
+    subscriptions.get(keyOf(channel, msg.product_id))?.forEach(subscriber => subscriber.onMessage(msg))
+  }
+
+  // What the exchange would send a new subscriber
+  const initialMessage = (channel, productId) => {
+    if (channel === 'level2_batch') {
+      const book = books.get(productId)
+      if (!book) return null
+      return {
+        type: 'snapshot',
+        product_id: productId,
+        bids: Array.from(book.bids).sort(byPriceDesc),
+        asks: Array.from(book.asks).sort(byPriceAsc),
+      }
+    }
+
+    const last = lastMessages.get(keyOf(channel, productId))
+    if (!last) return null
+    return last.type === 'match' ? { ...last, type: 'last_match' } : last
+  }
+
+  // Delivered on the next tick, as from a socket - never inside subscribe
+  const sendInitial = (channel, productId, subscriber) => {
+    setTimeout(() => {
+      if (!subscriptions.get(keyOf(channel, productId))?.has(subscriber)) return
+      const msg = initialMessage(channel, productId)
+      if (msg) subscriber.onMessage(msg)
+    }, 0)
+  }
+
+  const reset = () => {
+    index = 0
+    books.clear()
+    lastMessages.clear()
+  }
+
+  // Play messages up to a virtual time
+  const advanceTo = (target, live) => {
+    const { messages } = recording
+    while (index < messages.length && messages[index].t <= target) {
+      const { msg } = messages[index++]
+      apply(msg)
+      if (live) dispatch(msg)
+    }
+    position = Math.min(target, recording.end)
+  }
+
+  const frame = () => {
+    const wallNow = Date.now()
+    advanceTo(position + (wallNow - lastFrameAt) * speed, true)
+    lastFrameAt = wallNow
+
+    if (index >= recording.messages.length) {
+      pause()
+    } else if (wallNow - lastNotifyAt >= POSITION_REFRESH) {
+      notify()
+    }
+  }
+
+  const heartbeat = () => {
+    const products = new Set(Array.from(subscriptions.keys()).map(key => key.split(':')[1]))
+    const time = new Date(position).toISOString()
+    products.forEach(productId => dispatch({ type: 'heartbeat', product_id: productId, time }))
+  }
+
+  function play() {
+    if (!recording || playing) return
+    // Play again from the top once the end is reached
+    if (index >= recording.messages.length) {
+      reset()
+      position = recording.start
+      advanceTo(position, false)
+      session++
+    }
+    playing = true
+    lastFrameAt = Date.now()
+    frameTimer = setInterval(frame, FRAME_INTERVAL)
+    notify()
+  }
+
+  function pause() {
+    if (!playing) return
+    playing = false
+    clearInterval(frameTimer)
+    notify()
+  }
+
+  function stop() {
+    pause()
+    clearInterval(heartbeatTimer)
+    reset()
+    recording = null
+    fileName = null
+    setClockSource(null)
+  }
+
+  return {
+    getState: () => state,
+
+    subscribeState(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    /**
+     * Load a recording (NDJSON text) and park at its start, paused
+     *
+     * @returns {Object} the new state
+     * @throws if the file isn't a recording
+     */
+    load(text, name = null) {
+      const parsed = parseRecording(text)
+
+      stop()
+      recording = parsed
+      fileName = name
+      position = parsed.start
+      advanceTo(position, false)
+      setClockSource(() => position)
+      heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL)
+      session++
+      notify()
+      return state
+    },
+
+    play,
+    pause,
+
+    setSpeed(value) {
+      speed = value
+      notify()
+    },
+
+    // Jump to a virtual time (ms); panels resubscribe from there
+    seek(time) {
+      if (!recording) return
+      reset()
+      advanceTo(Math.max(recording.start, Math.min(time, recording.end)), false)
+      lastFrameAt = Date.now()
+      session++
+      notify()
+    },
+
+    // Back to live data
+    exit() {
+      if (!recording) return
+      stop()
+      session++
+      notify()
+    },
+
+    /**
+     * Candles from the trades played so far (tickers if none were
+     * recorded), oldest first
+     */
+    candles(productId, seconds) {
+      if (!recording) return []
+
+      const played = recording.messages.slice(0, index).map(entry => entry.msg)
+      const matches = played.filter(msg => msg.product_id === productId && MESSAGE_CHANNELS[msg.type] === 'matches')
+      const source = matches.length
+        ? matches
+        : played.filter(msg => msg.product_id === productId && msg.type === 'ticker')
+
+      const points = source.map(msg => {
+        const price = parseFloat(msg.price)
+        return {
+          time: Math.floor(Date.parse(msg.time) / 1000),
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: matches.length ? parseFloat(msg.size) * price : 0,
+        }
+      })
+      // Exchange times - not always in receive order
+      return resampleCandles(points.sort((a, b) => a.time - b.time), seconds)
+    },
+
+    // --- coinbaseFeed's interface ---
+
+    subscribe({ channel, productId, onMessage, onStatus = () => {} }) {
+      const key = keyOf(channel, productId)
+      const subscriber = { onMessage, onStatus }
+
+      if (!subscriptions.has(key)) subscriptions.set(key, new Set())
+      subscriptions.get(key).add(subscriber)
+
+      onStatus(recording ? 'connected' : 'unavailable')
+      sendInitial(channel, productId, subscriber)
+
+      return () => {
+        const subscribers = subscriptions.get(key)
+        if (subscribers?.delete(subscriber) && !subscribers.size) subscriptions.delete(key)
+      }
+    },
+
+    resubscribe(channel, productId) {
+      subscriptions.get(keyOf(channel, productId))?.forEach(subscriber => {
+        sendInitial(channel, productId, subscriber)
+      })
+    },
+  }
+}
+
+export const replay = createReplay()
+
+export const replayProvider = {
+  id: 'replay',
+  name: 'Replay',
+  color: '#A855F7',
+  // Built from the recording on every request - nothing worth keeping
+  cacheCandles: false,
+
+  ...createCoinbaseStreams(replay),
+
+  async fetchCandles(timeframe, market, interval) {
+    return replay.candles(market.productId, INTERVALS[interval] || AUTO_CANDLE_SECONDS)
+  },
+}
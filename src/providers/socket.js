@@ -0,0 +1,112 @@
+/**
+ * Reconnecting WebSocket shared by all streaming providers
+ * 
+ * Owns the boring parts every feed used to copy-paste:
+ * - Subscribe payload on open
+ * - JSON parsing
+ * - Connection timeout
+ * - Exponential backoff (capped), with an optional retry limit
+ * - No reconnect after the caller closes it
+ * 
+ * Status values: 'connecting' | 'connected' | 'error' | 'unavailable'
+ * 
+ * subscribe may be a function, called on every open - for connections
+ * whose subscriptions change while they're up (see coinbaseFeed.js).
+ * 
+ * Returns { close, send, reconnect } - send() is a no-op while
+ * disconnected (the subscribe payload is re-sent on every reconnect
+ * anyway); reconnect() drops a connection that's open but no longer
+ * delivering and goes through the usual backoff.
+ */
+
+export function openSocket({
+  url,
+  subscribe,
+  onMessage,
+  onStatus = () => {},
+  maxAttempts = Infinity,
+  maxDelay = 30000,
+  connectTimeout = 5000,
+}) {
+  let ws = null
+  let attempts = 0
+  let reconnectTimer = null
+  let closed = false
+
+  const scheduleReconnect = () => {
+    if (closed) return
+
+    if (attempts >= maxAttempts) {
+      onStatus('unavailable')
+      return
+    }
+
+    const delay = Math.min(1000 * Math.pow(2, attempts), maxDelay)
+    attempts++
+    onStatus('connecting')
+    reconnectTimer = setTimeout(connect, delay)
+  }
+
+  const connect = () => {
+    if (closed) return
+    onStatus('connecting')
+
+    try {
+      ws = new WebSocket(url)
+    } catch (err) {
+      console.error(`Failed to create WebSocket (${url}):`, err)
+      onStatus('error')
+      scheduleReconnect()
+      return
+    }
+
+    // Some networks silently black-hole exchange sockets
+    const timeout = setTimeout(() => {
+      if (ws.readyState !== WebSocket.OPEN) ws.close()
+    }, connectTimeout)
+
+    ws.onopen = () => {
+      clearTimeout(timeout)
+      attempts = 0
+      const payload = typeof subscribe === 'function' ? subscribe() : subscribe
+      if (payload) ws.send(JSON.stringify(payload))
+      onStatus('connected')
+    }
+
+    ws.onmessage = (event) => {
+      try {
+        onMessage(JSON.parse(event.data))
+      } catch (err) {
+        console.error(`Failed to handle message (${url}):`, err)
+      }
+    }
+
+    ws.onerror = () => {
+      clearTimeout(timeout)
+      if (!closed) onStatus('error')
+    }
+
+    ws.onclose = () => {
+      clearTimeout(timeout)
+      scheduleReconnect()
+    }
+  }
+
+  connect()
+
+  return {
+    close: () => {
+      closed = true
+      clearTimeout(reconnectTimer)
+      if (ws) ws.close()
+    },
+    send: (payload) => {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(payload))
+      }
+    },
+    reconnect: () => {
+      if (!closed && ws) ws.close()
+    },
+  }
+}
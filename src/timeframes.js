@@ -0,0 +1,70 @@
+/**
+ * Chart timeframe catalog
+ * 
+ * A chart is a lookback range (24H ... 10Y) plus a candle interval.
+ * 'auto' leaves the interval to the range-only candle provider
+ * (CoinGecko picks 30m / 4h / 4d by itself); explicit intervals come
+ * from a provider that takes a granularity (see PROVIDER_CONFIG.intervalCandles).
+ * 
+ * Not every pair makes sense: 1m candles over 10 years would be millions
+ * of bars, 1d candles over 24 hours a single one. Intervals are offered
+ * when the range holds between MIN_BARS and MAX_BARS of them.
+ */
+
+const DAY = 86400
+
+// Lookback ranges, in seconds
+export const RANGES = {
+  '24H': DAY,
+  '7D': 7 * DAY,
+  '30D': 30 * DAY,
+  '6M': 182 * DAY,
+  '1Y': 365 * DAY,
+  '2Y': 730 * DAY,
+  '3Y': 1095 * DAY,
+  '5Y': 1825 * DAY,
+  '10Y': 3650 * DAY,
+}
+
+export const TIMEFRAMES = Object.keys(RANGES)
+
+// Candle intervals, in seconds
+export const INTERVALS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '4h': 4 * 3600,
+  '1d': DAY,
+}
+
+export const AUTO_INTERVAL = 'auto'
+
+const MIN_BARS = 10
+export const MAX_BARS = 5000
+
+/**
+ * Bars an interval would produce over a range
+ */
+export function barCount(timeframe, interval) {
+  return Math.ceil(RANGES[timeframe] / INTERVALS[interval])
+}
+
+export function isIntervalAllowed(timeframe, interval) {
+  if (interval === AUTO_INTERVAL) return true
+  if (!RANGES[timeframe] || !INTERVALS[interval]) return false
+
+  const bars = barCount(timeframe, interval)
+  return bars >= MIN_BARS && bars <= MAX_BARS
+}
+
+/**
+ * The interval to actually use for a range: the chosen one if it fits,
+ * otherwise the next coarser one that does (or auto)
+ */
+export function fitInterval(timeframe, interval) {
+  if (isIntervalAllowed(timeframe, interval)) return interval
+
+  const coarser = Object.keys(INTERVALS).filter(id => INTERVALS[id] > INTERVALS[interval])
+  return coarser.find(id => isIntervalAllowed(timeframe, id)) || AUTO_INTERVAL
+}
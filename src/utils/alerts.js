@@ -0,0 +1,80 @@
+import { formatPrice } from './formatters'
+
+/**
+ * Price alert checks
+ *
+ * Pure: given the alert, the latest ticker, the previous one and the
+ * recent price history, say whether it fires (a message) or not (null).
+ * Crossing alerts need a previous tick, so the first tick after a
+ * reload or market switch never fires - no alert storm on page load.
+ */
+
+/**
+ * @param {Object} alert - see src/alerts.js
+ * @param {Object} ticker - normalized ticker in the display quote
+ * @param {Object|null} prev - previous ticker
+ * @param {Array} history - [{ time (ms), price }], oldest first
+ * @param {Object} market - for formatting
+ * @returns {string|null}
+ */
+export function checkAlert(alert, ticker, prev, history, market, now = Date.now()) {
+  const { price } = ticker
+  const format = value => formatPrice(value, market.decimals, market.quote)
+  if (!price) return null
+
+  switch (alert.type) {
+    case 'above':
+      return prev?.price && prev.price < alert.value && price >= alert.value
+        ? `${market.base} crossed above ${format(alert.value)}`
+        : null
+
+    case 'below':
+      return prev?.price && prev.price > alert.value && price <= alert.value
+        ? `${market.base} crossed below ${format(alert.value)}`
+        : null
+
+    case 'move': {
+      // From the window's low (a rise) or high (a fall), not its first
+      // sample - a sharp drop and rebound inside the window still counts
+      const since = now - alert.minutes * 60 * 1000
+      let low = Infinity
+      let high = -Infinity
+      history.forEach(sample => {
+        if (sample.time < since || !(sample.price > 0)) return
+        low = Math.min(low, sample.price)
+        high = Math.max(high, sample.price)
+      })
+      if (low === Infinity) return null
+
+      const rise = ((price - low) / low) * 100
+      const fall = ((price - high) / high) * 100
+      const change = rise >= -fall ? rise : fall
+      return Math.abs(change) >= alert.value
+        ? `${market.base} ${change > 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(2)}% in ${alert.minutes}m (now ${format(price)})`
+        : null
+    }
+
+    case 'spread': {
+      const { bestBid, bestAsk } = ticker
+      if (!bestBid || !bestAsk) return null
+
+      const spread = ((bestAsk - bestBid) / ((bestAsk + bestBid) / 2)) * 100
+      return spread > alert.value
+        ? `${market.id} spread widened to ${spread.toFixed(3)}%`
+        : null
+    }
+
+    case 'high':
+      return prev?.high24h && price > prev.high24h
+        ? `${market.base} broke the 24h high (${format(prev.high24h)})`
+        : null
+
+    case 'low':
+      return prev?.low24h && price < prev.low24h
+        ? `${market.base} broke the 24h low (${format(prev.low24h)})`
+        : null
+
+    default:
+      return null
+  }
+}
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest'
+import { checkAlert } from './alerts'
+
+const MARKET = { id: 'ETH-USD', base: 'ETH', quote: 'USD', decimals: 2 }
+const NOW = 1700000000000
+const MINUTE = 60 * 1000
+
+const move = (value, minutes = 5) => ({ type: 'move', value, minutes })
+// Samples `minutesAgo` before NOW
+const history = samples => samples.map(([minutesAgo, price]) => ({ time: NOW - minutesAgo * MINUTE, price }))
+
+describe('checkAlert move', () => {
+  it('fires on a rise from the oldest sample', () => {
+    const message = checkAlert(move(2), { price: 102 }, null, history([[4, 100], [0, 102]]), MARKET, NOW)
+    expect(message).toMatch(/ETH up 2\.00% in 5m/)
+  })
+
+  it('measures a rebound from the low inside the window', () => {
+    // Starts and ends at 100 - only the dip makes it a move
+    const samples = history([[4, 100], [2, 95], [0, 100]])
+    const message = checkAlert(move(5), { price: 100 }, null, samples, MARKET, NOW)
+    expect(message).toMatch(/ETH up 5\.26%/)
+  })
+
+  it('measures a drop from the high inside the window', () => {
+    const samples = history([[4, 100], [2, 104], [0, 100]])
+    const message = checkAlert(move(3), { price: 100 }, null, samples, MARKET, NOW)
+    expect(message).toMatch(/ETH down 3\.85%/)
+  })
+
+  it('ignores samples older than the window', () => {
+    const samples = history([[10, 50], [4, 100], [0, 101]])
+    expect(checkAlert(move(2), { price: 101 }, null, samples, MARKET, NOW)).toBeNull()
+  })
+
+  it('needs history inside the window', () => {
+    expect(checkAlert(move(1), { price: 100 }, null, history([[10, 50]]), MARKET, NOW)).toBeNull()
+  })
+})
+
+describe('checkAlert crossings', () => {
+  it('fires only when the previous tick was on the other side', () => {
+    const alert = { type: 'above', value: 2000 }
+    expect(checkAlert(alert, { price: 2001 }, { price: 1999 }, [], MARKET, NOW)).toMatch(/crossed above/)
+    expect(checkAlert(alert, { price: 2001 }, { price: 2000.5 }, [], MARKET, NOW)).toBeNull()
+    expect(checkAlert(alert, { price: 2001 }, null, [], MARKET, NOW)).toBeNull()
+  })
+})
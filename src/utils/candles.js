@@ -0,0 +1,206 @@
+/**
+ * Candle transforms shared by the chart series
+ *
+ * Everything here takes the plain { time, open, high, low, close, volume }
+ * candles from useCandlesticks and returns new arrays - never mutates.
+ */
+
+/**
+ * Build a single Heikin-Ashi bar from a raw candle and the previous HA bar
+ * (pass null for the first bar of the series)
+ */
+export function heikinAshiBar(candle, prevBar) {
+  const close = (candle.open + candle.high + candle.low + candle.close) / 4
+  const open = prevBar
+    ? (prevBar.open + prevBar.close) / 2
+    : (candle.open + candle.close) / 2
+
+  return {
+    time: candle.time,
+    open,
+    high: Math.max(candle.high, open, close),
+    low: Math.min(candle.low, open, close),
+    close,
+    volume: candle.volume,
+  }
+}
+
+/**
+ * Convert a full candle array to Heikin-Ashi
+ */
+export function toHeikinAshi(candles) {
+  const result = []
+  candles.forEach((candle, i) => {
+    result.push(heikinAshiBar(candle, i > 0 ? result[i - 1] : null))
+  })
+  return result
+}
+
+/**
+ * Convert a candle to a single-value point (line/area series)
+ */
+export function toLinePoint(candle) {
+  return { time: candle.time, value: candle.close }
+}
+
+const SECONDS_PER_DAY = 86400
+
+/**
+ * Merge CoinGecko /market_chart total_volumes into OHLC candles
+ *
+ * CoinGecko OHLC timestamps mark the candle close, and total_volumes samples
+ * are rolling 24h quote volume. Each candle gets the mean of the samples that
+ * fall inside its interval, scaled from 24h down to the candle's length.
+ *
+ * @param {Array} candles - [{ time (sec), open, high, low, close, volume }]
+ * @param {Array} totalVolumes - [[timestamp (ms), volume24h]]
+ */
+export function mergeVolumes(candles, totalVolumes) {
+  if (!candles.length || !totalVolumes?.length) return candles
+
+  const samples = totalVolumes
+    .map(([ts, vol]) => ({ time: ts / 1000, vol }))
+    .sort((a, b) => a.time - b.time)
+
+  let cursor = 0
+  return candles.map((candle, i) => {
+    // First candle has no predecessor - assume the same spacing as the next one
+    const interval = i > 0
+      ? candle.time - candles[i - 1].time
+      : (candles[1]?.time ?? candle.time + SECONDS_PER_DAY) - candle.time
+    const start = candle.time - interval
+
+    while (cursor < samples.length && samples[cursor].time <= start) cursor++
+
+    let sum = 0
+    let count = 0
+    let j = cursor
+    while (j < samples.length && samples[j].time <= candle.time) {
+      sum += samples[j].vol
+      count++
+      j++
+    }
+
+    // Interval too short to contain a sample - use the nearest one after it
+    if (count === 0 && samples[j]) {
+      sum = samples[j].vol
+      count = 1
+    }
+
+    const volume = count > 0
+      ? (sum / count) * Math.min(interval / SECONDS_PER_DAY, 1)
+      : 0
+
+    return { ...candle, volume }
+  })
+}
+
+/**
+ * Bar spacing of a candle series in seconds
+ *
+ * Providers pick their own granularity per timeframe (and CoinGecko's
+ * changes with the range), so read it off the data: the median gap
+ * between recent bars, which shrugs off the odd missing bar.
+ */
+export function inferInterval(candles) {
+  const recent = candles.slice(-21)
+  const gaps = recent
+    .slice(1)
+    .map((candle, i) => candle.time - recent[i].time)
+    .filter(gap => gap > 0)
+    .sort((a, b) => a - b)
+
+  return gaps.length ? gaps[Math.floor(gaps.length / 2)] : null
+}
+
+/**
+ * Roll live trades into a candle series
+ *
+ * New bars stay on the series' own time grid: a trade before the last
+ * bar's time + interval updates that bar, anything later opens a new bar
+ * at the boundary it falls in. Volume is quote currency (price * size),
+ * matching the historical candles; size-less price ticks move the bar
+ * without adding volume.
+ *
+ * @param {Array} candles - existing series, oldest first
+ * @param {Array} trades - [{ price, size, time (ms) }] in any order
+ * @param {number} interval - bar length in seconds (see inferInterval)
+ * @returns {Array} new series (input is not mutated)
+ */
+export function aggregateTrades(candles, trades, interval) {
+  if (!candles.length || !interval || !trades.length) return candles
+
+  const result = candles.slice()
+  let last = { ...result[result.length - 1] }
+  result[result.length - 1] = last
+
+  const ordered = trades.slice().sort((a, b) => a.time - b.time)
+
+  for (const trade of ordered) {
+    const time = trade.time / 1000
+    const volume = trade.price * (trade.size || 0)
+
+    if (time >= last.time + interval) {
+      last = {
+        time: last.time + Math.floor((time - last.time) / interval) * interval,
+        open: trade.price,
+        high: trade.price,
+        low: trade.price,
+        close: trade.price,
+        volume,
+      }
+      result.push(last)
+    } else {
+      last.high = Math.max(last.high, trade.price)
+      last.low = Math.min(last.low, trade.price)
+      last.close = trade.price
+      last.volume += volume
+    }
+  }
+
+  return result
+}
+
+/**
+ * Merge candles into coarser bars (e.g. 1h -> 4h) aligned to UTC
+ * multiples of `seconds`
+ *
+ * @param {Array} candles - oldest first
+ */
+export function resampleCandles(candles, seconds) {
+  const result = []
+
+  for (const candle of candles) {
+    const time = Math.floor(candle.time / seconds) * seconds
+    const last = result[result.length - 1]
+
+    if (last && last.time === time) {
+      last.high = Math.max(last.high, candle.high)
+      last.low = Math.min(last.low, candle.low)
+      last.close = candle.close
+      last.volume += candle.volume
+    } else {
+      result.push({ ...candle, time })
+    }
+  }
+
+  return result
+}
+
+/**
+ * Top up a cached series with freshly fetched bars
+ *
+ * Fetched bars win from their first timestamp on (the last cached bar
+ * was probably still forming); cached bars before that are kept, and
+ * everything older than `cutoff` (unix seconds) drops off the front.
+ *
+ * @param {Array} cached - oldest first
+ * @param {Array} fresh - oldest first; may cover the whole range
+ */
+export function mergeCandles(cached, fresh, cutoff) {
+  const from = fresh.length ? fresh[0].time : Infinity
+  return [
+    ...cached.filter(candle => candle.time >= cutoff && candle.time < from),
+    ...fresh.filter(candle => candle.time >= cutoff),
+  ]
+}
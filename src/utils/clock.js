@@ -0,0 +1,32 @@
+/**
+ * Market clock
+ *
+ * "Now" for anything measured against market event times (trade tape
+ * windows, candle ranges). Normally the wall clock; during a replay the
+ * replay's position, so a session recorded last week still fills the
+ * last-5-minutes windows as it plays.
+ *
+ * Wall-clock concerns (timeouts, staleness, sampling) keep Date.now().
+ */
+
+const wallClock = () => Date.now()
+
+let source = wallClock
+
+export function now() {
+  return source()
+}
+
+/**
+ * Whether the clock is the wall clock, i.e. no replay is running
+ */
+export function isLive() {
+  return source === wallClock
+}
+
+/**
+ * Drive the clock from elsewhere (ms), or back to the wall clock with null
+ */
+export function setClockSource(fn) {
+  source = fn || wallClock
+}
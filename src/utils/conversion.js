@@ -0,0 +1,84 @@
+/**
+ * Quote-currency conversion for markets Coinbase doesn't list natively
+ * 
+ * Feeds stream BASE-USD; multiplying every price-denominated field by
+ * the USD -> quote rate gives BASE-QUOTE. Base amounts (sizes, base
+ * volume) are left alone. A rate of 1 returns the input untouched;
+ * a null rate (not loaded yet) blanks the prices rather than showing
+ * USD figures under a EUR label.
+ */
+
+export function convertTicker(ticker, rate) {
+  if (rate === 1) return ticker
+
+  const scale = value => {
+    if (value === null || value === undefined) return value
+    return rate === null ? null : value * rate
+  }
+
+  return {
+    ...ticker,
+    price: scale(ticker.price),
+    prevPrice: scale(ticker.prevPrice),
+    open24h: scale(ticker.open24h),
+    high24h: scale(ticker.high24h),
+    low24h: scale(ticker.low24h),
+    priceChange: scale(ticker.priceChange),
+    quoteVolume24h: scale(ticker.quoteVolume24h),
+    bestBid: scale(ticker.bestBid),
+    bestAsk: scale(ticker.bestAsk),
+  }
+}
+
+export function convertCandles(candles, rate) {
+  if (rate === 1) return candles
+  if (rate === null) return []
+
+  return candles.map(candle => ({
+    ...candle,
+    open: candle.open * rate,
+    high: candle.high * rate,
+    low: candle.low * rate,
+    close: candle.close * rate,
+    volume: candle.volume * rate, // candle volume is quote currency
+  }))
+}
+
+/**
+ * Convert processed order book levels ({ price, quantity, total, ... })
+ */
+export function convertLevels(levels, rate) {
+  if (rate === 1) return levels
+  if (rate === null) return []
+
+  return levels.map(level => ({
+    ...level,
+    price: level.price * rate,
+    total: level.total * rate,
+  }))
+}
+
+/**
+ * Convert a spread ({ value, percent }) - percent is currency-free
+ */
+export function convertSpread(spread, rate) {
+  if (!spread || rate === null) return null
+  if (rate === 1) return spread
+
+  return { ...spread, value: spread.value * rate }
+}
+
+/**
+ * Convert arbitrage opportunities (see utils/orderBook findArbitrage)
+ */
+export function convertArbitrage(opportunities, rate) {
+  if (rate === 1) return opportunities
+  if (rate === null) return []
+
+  return opportunities.map(opp => ({
+    ...opp,
+    buyPrice: opp.buyPrice * rate,
+    sellPrice: opp.sellPrice * rate,
+    profit: opp.profit * rate,
+  }))
+}
@@ -0,0 +1,63 @@
+import { inferInterval } from './candles'
+
+/**
+ * Chart drawing geometry
+ *
+ * Drawings are anchored to { time (sec), price } so they stay put across
+ * timeframe and interval switches. Lightweight Charts only maps times
+ * that are exactly on a bar, so times go through a fractional bar index
+ * ("logical" in Lightweight Charts terms) interpolated between the
+ * surrounding bars, and extrapolated at the bar interval past either end.
+ */
+
+// Fibonacci retracement levels, 0 = end point, 1 = start point
+export const FIB_LEVELS = [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1]
+
+/**
+ * Fractional bar index of a time in a candle series (oldest first)
+ */
+export function timeToLogical(candles, time) {
+  if (!candles.length) return null
+
+  const last = candles.length - 1
+  const interval = inferInterval(candles) || 1
+
+  if (time <= candles[0].time) return (time - candles[0].time) / interval
+  if (time >= candles[last].time) return last + (time - candles[last].time) / interval
+
+  // Last bar at or before `time`
+  let lo = 0
+  let hi = last
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2)
+    if (candles[mid].time <= time) lo = mid
+    else hi = mid - 1
+  }
+
+  const span = candles[lo + 1].time - candles[lo].time
+  return lo + (time - candles[lo].time) / span
+}
+
+/**
+ * Time (sec) at a fractional bar index - inverse of timeToLogical
+ */
+export function logicalToTime(candles, logical) {
+  if (!candles.length) return null
+
+  const last = candles.length - 1
+  const interval = inferInterval(candles) || 1
+
+  if (logical <= 0) return Math.round(candles[0].time + logical * interval)
+  if (logical >= last) return Math.round(candles[last].time + (logical - last) * interval)
+
+  const index = Math.floor(logical)
+  const span = candles[index + 1].time - candles[index].time
+  return Math.round(candles[index].time + (logical - index) * span)
+}
+
+/**
+ * Price at a Fibonacci level between two anchors
+ */
+export function fibPrice(start, end, level) {
+  return end.price + (start.price - end.price) * level
+}
@@ -1,14 +1,53 @@
 /**
- * Format price with appropriate decimal places
+ * Display settings per quote currency
+ * - locale drives grouping/decimal separators (1,234.56 vs 1.234,56)
+ * - iso currencies go through Intl for symbol placement; others get a prefix
+ */
+export const CURRENCIES = {
+  USD: { symbol: '$', locale: 'en-US', iso: true },
+  EUR: { symbol: '€', locale: 'de-DE', iso: true },
+  GBP: { symbol: '£', locale: 'en-GB', iso: true },
+  BTC: { symbol: '₿', locale: 'en-US', iso: false },
+}
+
+function getCurrency(currency) {
+  return CURRENCIES[currency] || { symbol: `${currency} `, locale: 'en-US', iso: false }
+}
+
+/**
+ * Format price with appropriate decimal places (no currency symbol)
  * ETH typically shows 2 decimals for prices > $100
  */
-export function formatPrice(price, decimals = 2) {
+export function formatPrice(price, decimals = 2, currency = 'USD') {
   if (price === null || price === undefined) return '—'
   
   const num = parseFloat(price)
   if (isNaN(num)) return '—'
   
-  return num.toLocaleString('en-US', {
+  return num.toLocaleString(getCurrency(currency).locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  })
+}
+
+/**
+ * Format price with the currency symbol (e.g. $1,234.56, 1.234,56 €, ₿0.03512)
+ */
+export function formatCurrency(price, currency = 'USD', decimals = 2) {
+  if (price === null || price === undefined) return '—'
+  
+  const num = parseFloat(price)
+  if (isNaN(num)) return '—'
+  
+  const info = getCurrency(currency)
+  if (!info.iso) {
+    return `${num < 0 ? '-' : ''}${info.symbol}${formatPrice(Math.abs(num), decimals, currency)}`
+  }
+
+  return num.toLocaleString(info.locale, {
+    style: 'currency',
+    currency,
+    currencyDisplay: 'narrowSymbol',
     minimumFractionDigits: decimals,
     maximumFractionDigits: decimals,
   })
@@ -28,24 +67,31 @@ export function formatPercent(percent) {
 }
 
 /**
- * Format large volumes (e.g., 1.2B, 450M)
+ * Format large volumes (e.g., 1.2B, 450M) in the quote currency
  */
-export function formatVolume(volume) {
+export function formatVolume(volume, currency = 'USD') {
   if (volume === null || volume === undefined) return '—'
   
   const num = parseFloat(volume)
   if (isNaN(num)) return '—'
   
-  if (num >= 1e12) {
-    return `$${(num / 1e12).toFixed(2)}T`
-  } else if (num >= 1e9) {
-    return `$${(num / 1e9).toFixed(2)}B`
-  } else if (num >= 1e6) {
-    return `$${(num / 1e6).toFixed(2)}M`
-  } else if (num >= 1e3) {
-    return `$${(num / 1e3).toFixed(2)}K`
+  const info = getCurrency(currency)
+  const options = {
+    notation: 'compact',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }
+
+  if (!info.iso) {
+    return `${info.symbol}${num.toLocaleString(info.locale, options)}`
   }
-  return `$${num.toFixed(2)}`
+
+  return num.toLocaleString(info.locale, {
+    ...options,
+    style: 'currency',
+    currency,
+    currencyDisplay: 'narrowSymbol',
+  })
 }
 
 /**
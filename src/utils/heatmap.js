@@ -0,0 +1,74 @@
+/**
+ * Liquidity heatmap helpers
+ *
+ * The heatmap is a series of columns, one per sample of the book:
+ * { time, mid, lastTrade, low, sizes } where sizes[i] is the resting
+ * size (bids and asks together) in the price bucket low + i, i.e.
+ * [(low + i) * bucketSize, (low + i + 1) * bucketSize). Buckets are
+ * absolute prices, so columns taken around different mids still line up.
+ * A column with sizes = null is a gap (book not synced at sample time).
+ */
+
+/**
+ * Fixed-capacity buffer - once full, each push drops the oldest item,
+ * so memory stays flat however long the session runs
+ */
+export function createRingBuffer(capacity) {
+  const items = new Array(capacity)
+  let start = 0
+  let size = 0
+
+  return {
+    push(item) {
+      items[(start + size) % capacity] = item
+      if (size < capacity) {
+        size++
+      } else {
+        start = (start + 1) % capacity
+      }
+    },
+    get size() {
+      return size
+    },
+    // i = 0 is the oldest item
+    at(i) {
+      return items[(start + i) % capacity]
+    },
+    // The newest `count` items, oldest first
+    last(count) {
+      const n = Math.min(count, size)
+      return Array.from({ length: n }, (_, i) => items[(start + size - n + i) % capacity])
+    },
+  }
+}
+
+/**
+ * Bucket size for a market: a round number (1, 2 or 5 x 10^n) that
+ * splits ±rangePercent around mid into roughly `rows` buckets
+ */
+export function heatmapBucketSize(mid, rangePercent, rows) {
+  const raw = (mid * rangePercent * 2) / 100 / rows
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)))
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= raw)
+  return step * magnitude
+}
+
+/**
+ * One column from the raw book maps, covering ±rangePercent around mid
+ */
+export function sampleColumn(bidsMap, asksMap, { mid, bucketSize, rangePercent, lastTrade, time }) {
+  const low = Math.floor((mid * (1 - rangePercent / 100)) / bucketSize)
+  const high = Math.floor((mid * (1 + rangePercent / 100)) / bucketSize)
+  const sizes = new Float32Array(high - low + 1)
+
+  const add = (rawSize, rawPrice) => {
+    const quantity = parseFloat(rawSize)
+    if (!(quantity > 0)) return
+    const index = Math.floor(parseFloat(rawPrice) / bucketSize) - low
+    if (index >= 0 && index < sizes.length) sizes[index] += quantity
+  }
+  bidsMap.forEach(add)
+  asksMap.forEach(add)
+
+  return { time, mid, lastTrade, low, sizes }
+}
@@ -0,0 +1,194 @@
+/**
+ * Local market history in IndexedDB
+ *
+ * Two kinds of data, both far too big for localStorage:
+ * - candles: the last fetched series per provider, market, range and
+ *   interval, served instantly on the next load and then topped up
+ * - ticks: live ticker prices, appended in chunks as they stream in,
+ *   each tagged with the provider that sent it (the price feed can fail
+ *   over to another venue mid-session)
+ *
+ * Storage is capped at STORAGE_BUDGET (estimated from record counts).
+ * Every record has an entry in the 'usage' store with its size and last
+ * access; when a write pushes the total over budget the oldest tick
+ * chunks go first, then candle series by least recent use (ticks pile
+ * up all session, a series is small and saves a download).
+ *
+ * IndexedDB may be missing or blocked (private mode, disabled storage) -
+ * every call then resolves to "nothing cached" and the app runs as before.
+ */
+
+const DB_NAME = 'ethticker'
+const DB_VERSION = 2
+
+const STORAGE_BUDGET = 25 * 1024 * 1024
+// Rough serialized sizes, for the budget
+const CANDLE_BYTES = 64
+const TICK_BYTES = 40
+
+let dbPromise = null
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = (event) => {
+        const db = request.result
+        if (event.oldVersion < 1) {
+          db.createObjectStore('candles', { keyPath: 'key' })
+          db.createObjectStore('ticks', { keyPath: 'id', autoIncrement: true })
+            .createIndex('marketId', 'marketId')
+          db.createObjectStore('usage', { keyPath: 'key' })
+        }
+        // v2: chunks by market and end time, for loadTicks' range query
+        if (event.oldVersion < 2) {
+          request.transaction.objectStore('ticks').createIndex('marketEnd', ['marketId', 'end'])
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+// Promise for a request, or for a whole transaction when given one
+function done(target) {
+  return new Promise((resolve, reject) => {
+    if (target instanceof IDBTransaction) {
+      target.oncomplete = () => resolve()
+      target.onerror = () => reject(target.error)
+      target.onabort = () => reject(target.error)
+    } else {
+      target.onsuccess = () => resolve(target.result)
+      target.onerror = () => reject(target.error)
+    }
+  })
+}
+
+/**
+ * Cached candles for a key, as { candles, savedAt (ms) }, or null
+ */
+export async function loadCandles(key) {
+  try {
+    const db = await openDB()
+    const tx = db.transaction(['candles', 'usage'], 'readwrite')
+    const record = await done(tx.objectStore('candles').get(key))
+    if (record) {
+      tx.objectStore('usage').put({
+        key: `candles:${key}`,
+        store: 'candles',
+        id: key,
+        bytes: record.candles.length * CANDLE_BYTES,
+        accessedAt: Date.now(),
+      })
+    }
+    await done(tx)
+    return record ? { candles: record.candles, savedAt: record.savedAt } : null
+  } catch (err) {
+    console.error(`Failed to load cached candles (${key}):`, err)
+    return null
+  }
+}
+
+export async function saveCandles(key, candles) {
+  try {
+    const db = await openDB()
+    const tx = db.transaction(['candles', 'usage'], 'readwrite')
+    tx.objectStore('candles').put({ key, candles, savedAt: Date.now() })
+    tx.objectStore('usage').put({
+      key: `candles:${key}`,
+      store: 'candles',
+      id: key,
+      bytes: candles.length * CANDLE_BYTES,
+      accessedAt: Date.now(),
+    })
+    await done(tx)
+    await enforceBudget(db)
+  } catch (err) {
+    console.error(`Failed to cache candles (${key}):`, err)
+  }
+}
+
+/**
+ * Append a chunk of ticks ({ time (ms), price, bestBid, bestAsk }) for a
+ * market, as received from `providerId`
+ */
+export async function appendTicks(marketId, providerId, ticks) {
+  if (!ticks.length) return
+
+  try {
+    const db = await openDB()
+    const tx = db.transaction(['ticks', 'usage'], 'readwrite')
+    const id = await done(tx.objectStore('ticks').add({
+      marketId,
+      provider: providerId,
+      start: ticks[0].time,
+      end: ticks[ticks.length - 1].time,
+      ticks,
+    }))
+    // Chunks are written once and never touched again: oldest first out
+    tx.objectStore('usage').put({
+      key: `ticks:${id}`,
+      store: 'ticks',
+      id,
+      bytes: ticks.length * TICK_BYTES,
+      accessedAt: 0,
+    })
+    await done(tx)
+    await enforceBudget(db)
+  } catch (err) {
+    console.error(`Failed to record ticks (${marketId}):`, err)
+  }
+}
+
+/**
+ * Ticks recorded from one provider for a market from `since` (ms) on,
+ * oldest first
+ */
+export async function loadTicks(marketId, providerId, since = 0) {
+  try {
+    const db = await openDB()
+    const chunks = await done(
+      db.transaction('ticks').objectStore('ticks').index('marketEnd')
+        .getAll(IDBKeyRange.bound([marketId, since], [marketId, Infinity]))
+    )
+    return chunks
+      .filter(chunk => chunk.provider === providerId)
+      .sort((a, b) => a.start - b.start)
+      .flatMap(chunk => chunk.ticks.filter(tick => tick.time >= since))
+  } catch (err) {
+    console.error(`Failed to load ticks (${marketId}):`, err)
+    return []
+  }
+}
+
+/**
+ * Drop records until the estimate fits the budget
+ */
+async function enforceBudget(db) {
+  const usage = await done(db.transaction('usage').objectStore('usage').getAll())
+  let total = usage.reduce((sum, entry) => sum + entry.bytes, 0)
+  if (total <= STORAGE_BUDGET) return
+
+  // Tick chunks (accessedAt 0) in insertion order, then candles by last use
+  const victims = usage.sort((a, b) => a.accessedAt - b.accessedAt || (a.store === 'ticks' ? a.id - b.id : 0))
+  const evicted = []
+  for (const entry of victims) {
+    if (total <= STORAGE_BUDGET) break
+    evicted.push(entry)
+    total -= entry.bytes
+  }
+
+  const tx = db.transaction(['candles', 'ticks', 'usage'], 'readwrite')
+  evicted.forEach(entry => {
+    tx.objectStore(entry.store).delete(entry.id)
+    tx.objectStore('usage').delete(entry.key)
+  })
+  await done(tx)
+}
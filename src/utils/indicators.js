@@ -0,0 +1,235 @@
+/**
+ * Technical indicator calculations
+ *
+ * Pure functions over the plain { time, open, high, low, close, volume }
+ * candles the chart renders. Each returns named lines of { time, value }
+ * points, oldest first, starting once the indicator has enough history
+ * (no null / NaN padding) - ready for series.setData().
+ *
+ * Inputs are never mutated.
+ */
+
+/**
+ * Simple moving average of a number array - null until `period` values
+ */
+export function smaValues(values, period) {
+  const result = new Array(values.length).fill(null)
+  let sum = 0
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i]
+    if (i >= period) sum -= values[i - period]
+    if (i >= period - 1) result[i] = sum / period
+  }
+
+  return result
+}
+
+/**
+ * Exponential moving average of a number array, seeded with the SMA of
+ * the first `period` values (nulls are skipped until the first value)
+ */
+export function emaValues(values, period) {
+  const result = new Array(values.length).fill(null)
+  const k = 2 / (period + 1)
+  const start = values.findIndex(value => value !== null)
+  if (start === -1) return result
+
+  let seed = 0
+  for (let i = start; i < values.length; i++) {
+    const count = i - start + 1
+    if (count < period) {
+      seed += values[i]
+    } else if (count === period) {
+      seed += values[i]
+      result[i] = seed / period
+    } else {
+      result[i] = values[i] * k + result[i - 1] * (1 - k)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Pair values back up with candle times, dropping the warm-up nulls
+ */
+function toPoints(candles, values) {
+  const points = []
+  values.forEach((value, i) => {
+    if (value !== null && Number.isFinite(value)) {
+      points.push({ time: candles[i].time, value })
+    }
+  })
+  return points
+}
+
+const closes = candles => candles.map(candle => candle.close)
+
+export function calculateSMA(candles, { period = 20 } = {}) {
+  return { value: toPoints(candles, smaValues(closes(candles), period)) }
+}
+
+export function calculateEMA(candles, { period = 20 } = {}) {
+  return { value: toPoints(candles, emaValues(closes(candles), period)) }
+}
+
+const SECONDS_PER_DAY = 86400
+
+/**
+ * Volume-weighted average price, anchored to each UTC day
+ *
+ * Daily or longer bars have no intraday session to anchor to, so there
+ * it runs over the whole series instead. Candle volume is quote
+ * currency, so base volume is recovered with the bar's typical price.
+ * Bars without volume don't move it.
+ */
+export function calculateVWAP(candles) {
+  const intraday = candles.length > 1 && candles[1].time - candles[0].time < SECONDS_PER_DAY
+
+  const values = []
+  let session = null
+  let quoteSum = 0
+  let baseSum = 0
+
+  candles.forEach(candle => {
+    const day = Math.floor(candle.time / SECONDS_PER_DAY)
+    if (intraday && day !== session) {
+      session = day
+      quoteSum = 0
+      baseSum = 0
+    }
+
+    const typical = (candle.high + candle.low + candle.close) / 3
+    if (candle.volume > 0 && typical > 0) {
+      quoteSum += candle.volume
+      baseSum += candle.volume / typical
+    }
+
+    values.push(baseSum > 0 ? quoteSum / baseSum : typical)
+  })
+
+  return { value: toPoints(candles, values) }
+}
+
+/**
+ * Bollinger Bands: SMA +/- `deviations` population standard deviations
+ */
+export function calculateBollinger(candles, { period = 20, deviations = 2 } = {}) {
+  const values = closes(candles)
+  const middle = smaValues(values, period)
+  const upper = []
+  const lower = []
+
+  middle.forEach((mean, i) => {
+    if (mean === null) {
+      upper.push(null)
+      lower.push(null)
+      return
+    }
+
+    let variance = 0
+    for (let j = i - period + 1; j <= i; j++) {
+      variance += (values[j] - mean) ** 2
+    }
+    const spread = Math.sqrt(variance / period) * deviations
+
+    upper.push(mean + spread)
+    lower.push(mean - spread)
+  })
+
+  return {
+    upper: toPoints(candles, upper),
+    middle: toPoints(candles, middle),
+    lower: toPoints(candles, lower),
+  }
+}
+
+/**
+ * Relative Strength Index with Wilder's smoothing (0-100)
+ */
+export function calculateRSI(candles, { period = 14 } = {}) {
+  const values = new Array(candles.length).fill(null)
+  let avgGain = 0
+  let avgLoss = 0
+
+  for (let i = 1; i < candles.length; i++) {
+    const change = candles[i].close - candles[i - 1].close
+    const gain = Math.max(change, 0)
+    const loss = Math.max(-change, 0)
+
+    if (i <= period) {
+      avgGain += gain / period
+      avgLoss += loss / period
+    } else {
+      avgGain = (avgGain * (period - 1) + gain) / period
+      avgLoss = (avgLoss * (period - 1) + loss) / period
+    }
+
+    if (i >= period) {
+      values[i] = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss)
+    }
+  }
+
+  return { value: toPoints(candles, values) }
+}
+
+/**
+ * MACD: fast EMA - slow EMA, its signal EMA, and the difference
+ */
+export function calculateMACD(candles, { fast = 12, slow = 26, signal = 9 } = {}) {
+  const values = closes(candles)
+  const fastEma = emaValues(values, fast)
+  const slowEma = emaValues(values, slow)
+
+  const macd = values.map((_, i) => (
+    fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+  ))
+  const signalLine = emaValues(macd, signal)
+  const histogram = macd.map((value, i) => (
+    value !== null && signalLine[i] !== null ? value - signalLine[i] : null
+  ))
+
+  return {
+    macd: toPoints(candles, macd),
+    signal: toPoints(candles, signalLine),
+    histogram: toPoints(candles, histogram),
+  }
+}
+
+/**
+ * Stochastic oscillator (0-100): %K smoothed over `smooth` bars, %D its SMA
+ */
+export function calculateStochastic(candles, { period = 14, smooth = 3, signal = 3 } = {}) {
+  const raw = candles.map((candle, i) => {
+    if (i < period - 1) return null
+
+    let high = -Infinity
+    let low = Infinity
+    for (let j = i - period + 1; j <= i; j++) {
+      high = Math.max(high, candles[j].high)
+      low = Math.min(low, candles[j].low)
+    }
+
+    return high === low ? 50 : ((candle.close - low) / (high - low)) * 100
+  })
+
+  const k = smoothNullable(raw, smooth)
+  const d = smoothNullable(k, signal)
+
+  return {
+    k: toPoints(candles, k),
+    d: toPoints(candles, d),
+  }
+}
+
+/**
+ * SMA over an array with a leading run of nulls
+ */
+function smoothNullable(values, period) {
+  const start = values.findIndex(value => value !== null)
+  if (start === -1) return values.slice()
+
+  const smoothed = smaValues(values.slice(start), period)
+  return values.slice(0, start).concat(smoothed)
+}
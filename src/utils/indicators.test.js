@@ -0,0 +1,186 @@
+import { describe, expect, it } from 'vitest'
+import {
+  calculateBollinger,
+  calculateEMA,
+  calculateMACD,
+  calculateRSI,
+  calculateSMA,
+  calculateStochastic,
+  calculateVWAP,
+  emaValues,
+  smaValues,
+} from './indicators'
+
+const HOUR = 3600
+
+// Hourly candles from a list of closes, with a 1-wide range around each
+function candlesFrom(closes, { start = 1700006400, step = HOUR, volume = 0 } = {}) {
+  return closes.map((close, i) => ({
+    time: start + i * step,
+    open: close,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume,
+  }))
+}
+
+const values = points => points.map(point => point.value)
+
+describe('smaValues', () => {
+  it('is null until a full period, then the rolling mean', () => {
+    expect(smaValues([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4])
+  })
+})
+
+describe('emaValues', () => {
+  it('seeds with the SMA of the first period', () => {
+    const result = emaValues([2, 4, 6, 8], 3)
+    expect(result.slice(0, 3)).toEqual([null, null, 4])
+    // k = 0.5: 8 * 0.5 + 4 * 0.5
+    expect(result[3]).toBe(6)
+  })
+
+  it('starts after leading nulls', () => {
+    expect(emaValues([null, null, 3, 5], 2)).toEqual([null, null, null, 4])
+  })
+})
+
+describe('calculateSMA', () => {
+  it('returns points from the first full period, with candle times', () => {
+    const candles = candlesFrom([10, 20, 30, 40])
+    const { value } = calculateSMA(candles, { period: 2 })
+
+    expect(value).toEqual([
+      { time: candles[1].time, value: 15 },
+      { time: candles[2].time, value: 25 },
+      { time: candles[3].time, value: 35 },
+    ])
+  })
+
+  it('returns nothing without enough candles', () => {
+    expect(calculateSMA(candlesFrom([1, 2]), { period: 5 }).value).toEqual([])
+  })
+})
+
+describe('calculateEMA', () => {
+  it('follows a constant series exactly', () => {
+    const { value } = calculateEMA(candlesFrom(Array(10).fill(7)), { period: 4 })
+    expect(value).toHaveLength(7)
+    value.forEach(point => expect(point.value).toBe(7))
+  })
+})
+
+describe('calculateBollinger', () => {
+  it('collapses onto the mean when prices are flat', () => {
+    const { upper, middle, lower } = calculateBollinger(candlesFrom([5, 5, 5, 5]), { period: 3 })
+    expect(values(middle)).toEqual([5, 5])
+    expect(values(upper)).toEqual([5, 5])
+    expect(values(lower)).toEqual([5, 5])
+  })
+
+  it('spreads by population standard deviations', () => {
+    // mean 2, population sd sqrt(2/3)
+    const { upper, lower } = calculateBollinger(candlesFrom([1, 2, 3]), { period: 3, deviations: 2 })
+    const spread = 2 * Math.sqrt(2 / 3)
+    expect(upper[0].value).toBeCloseTo(2 + spread)
+    expect(lower[0].value).toBeCloseTo(2 - spread)
+  })
+})
+
+describe('calculateRSI', () => {
+  it('is 100 when prices only rise and 0 when they only fall', () => {
+    expect(values(calculateRSI(candlesFrom([1, 2, 3, 4, 5]), { period: 3 }).value)).toEqual([100, 100])
+    expect(values(calculateRSI(candlesFrom([5, 4, 3, 2, 1]), { period: 3 }).value)).toEqual([0, 0])
+  })
+
+  it('uses Wilder smoothing after the first period', () => {
+    // changes +1, -1, +2, -2
+    const { value } = calculateRSI(candlesFrom([10, 11, 10, 12, 10]), { period: 2 })
+
+    // seed: gain 0.5, loss 0.5
+    expect(value[0].value).toBeCloseTo(50)
+    // gain (0.5 + 2) / 2 = 1.25, loss 0.5 / 2 = 0.25
+    expect(value[1].value).toBeCloseTo(100 - 100 / (1 + 1.25 / 0.25))
+    // gain 1.25 / 2 = 0.625, loss (0.25 + 2) / 2 = 1.125
+    expect(value[2].value).toBeCloseTo(100 - 100 / (1 + 0.625 / 1.125))
+  })
+})
+
+describe('calculateMACD', () => {
+  it('is flat at zero for constant prices', () => {
+    const { macd, signal, histogram } = calculateMACD(candlesFrom(Array(20).fill(100)), { fast: 3, slow: 6, signal: 4 })
+
+    // macd from the slow EMA's first value, signal `signal` bars after that
+    expect(macd).toHaveLength(15)
+    expect(signal).toHaveLength(12)
+    expect(histogram).toHaveLength(12)
+    values(macd).concat(values(signal), values(histogram)).forEach(value => expect(value).toBe(0))
+  })
+
+  it('is the fast EMA minus the slow EMA', () => {
+    const closes = [1, 3, 2, 5, 4, 6, 8, 7, 9, 12]
+    const candles = candlesFrom(closes)
+    const fast = emaValues(closes, 2)
+    const slow = emaValues(closes, 4)
+    const { macd, signal, histogram } = calculateMACD(candles, { fast: 2, slow: 4, signal: 3 })
+
+    expect(macd[0]).toEqual({ time: candles[3].time, value: fast[3] - slow[3] })
+    expect(values(macd)).toEqual(closes.slice(3).map((_, i) => fast[i + 3] - slow[i + 3]))
+    expect(histogram[0].value).toBeCloseTo(macd[2].value - signal[0].value)
+  })
+})
+
+describe('calculateStochastic', () => {
+  it('places the close within the period range', () => {
+    // range over 3 bars: low 9, high 13; close 12
+    const candles = candlesFrom([10, 11, 12])
+    const { k } = calculateStochastic(candles, { period: 3, smooth: 1, signal: 1 })
+    expect(k).toEqual([{ time: candles[2].time, value: 75 }])
+  })
+
+  it('reads 50 when the range is flat', () => {
+    const candles = [1, 2, 3].map(i => ({ time: i * HOUR, open: 5, high: 5, low: 5, close: 5, volume: 0 }))
+    expect(values(calculateStochastic(candles, { period: 2, smooth: 1, signal: 1 }).k)).toEqual([50, 50])
+  })
+
+  it('smooths %K and takes %D as its SMA', () => {
+    const candles = candlesFrom([10, 12, 11, 14, 13, 15])
+    const raw = values(calculateStochastic(candles, { period: 2, smooth: 1, signal: 1 }).k)
+    const { k, d } = calculateStochastic(candles, { period: 2, smooth: 2, signal: 2 })
+
+    expect(values(k)).toEqual(smaValues(raw, 2).slice(1))
+    expect(values(d)).toEqual(smaValues(values(k), 2).slice(1))
+  })
+})
+
+describe('calculateVWAP', () => {
+  it('weights typical prices by base volume', () => {
+    // typical prices 10 and 20, $100 each: 10 + 5 base
+    const candles = [
+      { time: 1700006400, open: 10, high: 10, low: 10, close: 10, volume: 100 },
+      { time: 1700006400 + HOUR, open: 20, high: 20, low: 20, close: 20, volume: 100 },
+    ]
+    const { value } = calculateVWAP(candles)
+    expect(value[0].value).toBe(10)
+    expect(value[1].value).toBeCloseTo(200 / 15)
+  })
+
+  it('restarts each UTC day for intraday bars', () => {
+    // 1700006400 is 00:00 UTC; the third bar is the next day
+    const candles = candlesFrom([10, 20, 30], { step: 12 * HOUR, volume: 100 })
+    const { value } = calculateVWAP(candles)
+    expect(value[2].value).toBeCloseTo(30)
+  })
+
+  it('runs over the whole series for daily bars', () => {
+    const candles = candlesFrom([10, 30], { step: 24 * HOUR, volume: 300 })
+    const { value } = calculateVWAP(candles)
+    // 30 + 10 base for $600
+    expect(value[1].value).toBeCloseTo(15)
+  })
+
+  it('falls back to the typical price before any volume', () => {
+    expect(values(calculateVWAP(candlesFrom([10, 20])).value)).toEqual([10, 20])
+  })
+})
@@ -0,0 +1,67 @@
+/**
+ * Browser notifications and an audio cue for alerts
+ *
+ * The chime is synthesized with Web Audio - no sound files to ship.
+ * Browsers only allow audio after a user gesture, so call unlockAudio()
+ * from a click handler (e.g. when an alert is created).
+ */
+
+let audioContext = null
+
+export function notificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+}
+
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return 'unsupported'
+  try {
+    return await Notification.requestPermission()
+  } catch (err) {
+    console.error('Failed to request notification permission:', err)
+    return Notification.permission
+  }
+}
+
+export function showNotification(title, body) {
+  if (notificationPermission() !== 'granted') return
+
+  try {
+    new Notification(title, { body, icon: '/eth-icon.svg', tag: body })
+  } catch (err) {
+    console.error('Failed to show notification:', err)
+  }
+}
+
+export function unlockAudio() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  if (!AudioContext) return
+
+  if (!audioContext) audioContext = new AudioContext()
+  if (audioContext.state === 'suspended') audioContext.resume()
+}
+
+/**
+ * Two short rising tones
+ */
+export function playChime() {
+  if (!audioContext || audioContext.state !== 'running') return
+
+  const start = audioContext.currentTime
+  const tones = [880, 1320]
+
+  tones.forEach((frequency, i) => {
+    const oscillator = audioContext.createOscillator()
+    const gain = audioContext.createGain()
+    const at = start + i * 0.15
+
+    oscillator.type = 'sine'
+    oscillator.frequency.value = frequency
+    gain.gain.setValueAtTime(0.0001, at)
+    gain.gain.exponentialRampToValueAtTime(0.2, at + 0.02)
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.14)
+
+    oscillator.connect(gain).connect(audioContext.destination)
+    oscillator.start(at)
+    oscillator.stop(at + 0.15)
+  })
+}
@@ -0,0 +1,379 @@
+/**
+ * Order book helpers shared by the single-venue and consolidated books
+ * 
+ * Raw books are price -> size maps with string keys (as the exchanges
+ * send them). Ladders are the display rows:
+ * { price, quantity, total, cumulative, depthPercent, ...extra }
+ */
+
+/**
+ * Sorted levels from a raw map - bids highest first, asks lowest first
+ */
+export function sortLevels(map, side) {
+  const levels = []
+  map.forEach((size, price) => {
+    const quantity = parseFloat(size)
+    if (quantity > 0) levels.push({ price: parseFloat(price), quantity })
+  })
+
+  return side === 'bid'
+    ? levels.sort((a, b) => b.price - a.price)
+    : levels.sort((a, b) => a.price - b.price)
+}
+
+/**
+ * Bucket index for a price - bids round down and asks round up to the
+ * bucket edge, so a bucket never looks better than the liquidity inside it
+ */
+function bucketIndex(price, tickSize, side) {
+  // Nudge by epsilon so float noise (0.1 + 0.2) doesn't skip a bucket
+  const ratio = price / tickSize
+  return side === 'bid' ? Math.floor(ratio + 1e-9) : Math.ceil(ratio - 1e-9)
+}
+
+/**
+ * Sorted levels from a raw map, aggregated into tickSize-wide price buckets
+ */
+export function groupLevels(map, side, tickSize) {
+  const buckets = new Map()
+  map.forEach((size, rawPrice) => {
+    const quantity = parseFloat(size)
+    if (!(quantity > 0)) return
+
+    const index = bucketIndex(parseFloat(rawPrice), tickSize, side)
+    const bucket = buckets.get(index)
+    if (bucket) {
+      bucket.quantity += quantity
+    } else {
+      buckets.set(index, { price: index * tickSize, quantity })
+    }
+  })
+
+  const levels = Array.from(buckets.values())
+  return side === 'bid'
+    ? levels.sort((a, b) => b.price - a.price)
+    : levels.sort((a, b) => a.price - b.price)
+}
+
+/**
+ * Price grouping choices for a market - multiples of its quote increment
+ * (0.01, 0.1, 1, 10, 50 for a 2-decimal market)
+ */
+export function groupingOptions(decimals) {
+  const tick = Math.pow(10, -decimals)
+  return [1, 10, 100, 1000, 5000].map(multiple => ({
+    size: multiple * tick,
+    label: (multiple * tick).toFixed(Math.max(0, decimals - Math.floor(Math.log10(multiple)))),
+  }))
+}
+
+/**
+ * Best bid/ask without sorting the whole book
+ */
+export function bestPrice(map, side) {
+  let best = null
+  map.forEach((size, price) => {
+    if (parseFloat(size) <= 0) return
+    const value = parseFloat(price)
+    if (best === null || (side === 'bid' ? value > best : value < best)) {
+      best = value
+    }
+  })
+  return best
+}
+
+/**
+ * Top `levels` of each side with totals, cumulative size and depth bar width
+ */
+export function buildLadder(sortedBids, sortedAsks, levels) {
+  // Calculate totals and cumulative
+  let bidCumulative = 0
+  const bids = sortedBids.slice(0, levels).map(bid => {
+    bidCumulative += bid.quantity
+    return {
+      ...bid,
+      total: bid.price * bid.quantity,
+      cumulative: bidCumulative,
+    }
+  })
+
+  let askCumulative = 0
+  const asks = sortedAsks.slice(0, levels).map(ask => {
+    askCumulative += ask.quantity
+    return {
+      ...ask,
+      total: ask.price * ask.quantity,
+      cumulative: askCumulative,
+    }
+  })
+
+  // Calculate depth percentages
+  const maxCumulative = Math.max(bidCumulative, askCumulative) || 1
+
+  return {
+    bids: bids.map(b => ({ ...b, depthPercent: (b.cumulative / maxCumulative) * 100 })),
+    asks: asks.map(a => ({ ...a, depthPercent: (a.cumulative / maxCumulative) * 100 })),
+  }
+}
+
+/**
+ * Spread between the top of each side of a ladder
+ */
+export function calculateSpread(bids, asks) {
+  if (!bids[0] || !asks[0]) return null
+
+  return {
+    value: asks[0].price - bids[0].price,
+    percent: ((asks[0].price - bids[0].price) / asks[0].price) * 100,
+  }
+}
+
+/**
+ * Merge several venues' raw books into shared price buckets
+ * 
+ * Buckets work like groupLevels. Each level keeps a per-venue size
+ * breakdown: { venues: { coinbase: 1.2, binance: 0.4 } }
+ * 
+ * @param {Array} books - [{ id, bids: Map, asks: Map }]
+ * @param {number} bucketSize - price bucket width
+ */
+export function consolidateBooks(books, bucketSize) {
+  const bidBuckets = new Map()
+  const askBuckets = new Map()
+
+  const addLevels = (buckets, map, venueId, side) => {
+    map.forEach((size, rawPrice) => {
+      const quantity = parseFloat(size)
+      if (!(quantity > 0)) return
+
+      const index = bucketIndex(parseFloat(rawPrice), bucketSize, side)
+
+      let bucket = buckets.get(index)
+      if (!bucket) {
+        bucket = { price: index * bucketSize, quantity: 0, venues: {} }
+        buckets.set(index, bucket)
+      }
+      bucket.quantity += quantity
+      bucket.venues[venueId] = (bucket.venues[venueId] || 0) + quantity
+    })
+  }
+
+  books.forEach(book => {
+    addLevels(bidBuckets, book.bids, book.id, 'bid')
+    addLevels(askBuckets, book.asks, book.id, 'ask')
+  })
+
+  return {
+    bids: Array.from(bidBuckets.values()).sort((a, b) => b.price - a.price),
+    asks: Array.from(askBuckets.values()).sort((a, b) => a.price - b.price),
+  }
+}
+
+/**
+ * Cross-venue arbitrage: any venue whose best bid is above another's best ask
+ * 
+ * @param {Array} tops - [{ id, name, bestBid, bestAsk }]
+ * @returns {Array} [{ buyVenue, sellVenue, buyPrice, sellPrice, profit, percent }],
+ *   widest first
+ */
+export function findArbitrage(tops) {
+  const opportunities = []
+
+  tops.forEach(seller => {
+    tops.forEach(buyer => {
+      if (seller.id === buyer.id) return
+      if (seller.bestBid === null || buyer.bestAsk === null) return
+      if (seller.bestBid <= buyer.bestAsk) return
+
+      opportunities.push({
+        buyVenue: buyer.name,
+        sellVenue: seller.name,
+        buyPrice: buyer.bestAsk,
+        sellPrice: seller.bestBid,
+        profit: seller.bestBid - buyer.bestAsk,
+        percent: ((seller.bestBid - buyer.bestAsk) / buyer.bestAsk) * 100,
+      })
+    })
+  })
+
+  return opportunities.sort((a, b) => b.percent - a.percent)
+}
+
+/**
+ * Cumulative depth curve for one side, out to limitPrice
+ * 
+ * @param {Array} sortedLevels - best first (see sortLevels / groupLevels)
+ * @returns {Array} [{ price, quantity, cumulative, notional }] - cumulative
+ *   size and quote notional from the best price through this level
+ */
+export function buildDepthCurve(sortedLevels, side, limitPrice) {
+  const curve = []
+  let cumulative = 0
+  let notional = 0
+
+  for (const level of sortedLevels) {
+    if (side === 'bid' ? level.price < limitPrice : level.price > limitPrice) break
+
+    cumulative += level.quantity
+    notional += level.price * level.quantity
+    curve.push({ price: level.price, quantity: level.quantity, cumulative, notional })
+  }
+
+  return curve
+}
+
+/**
+ * Cumulative size/notional available between the best price and `price`
+ * (everything a market order would sweep to reach it). Null when the
+ * price is on the other side of the spread.
+ */
+export function depthAt(curve, side, price) {
+  if (!curve.length) return null
+
+  const reached = level => (side === 'bid' ? level.price >= price : level.price <= price)
+  if (!reached(curve[0])) return null
+
+  // Binary search for the last level the price reaches
+  let lo = 0
+  let hi = curve.length - 1
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2)
+    if (reached(curve[mid])) lo = mid
+    else hi = mid - 1
+  }
+
+  return curve[lo]
+}
+
+/**
+ * Walk the book with a hypothetical market order
+ * 
+ * @param {'buy' | 'sell'} side - a buy takes the asks, a sell the bids
+ * @param {Array} sortedLevels - that side of the book, best first
+ * @param {number} amount - order size, in base or quote currency
+ * @param {'base' | 'quote'} unit
+ * @param {number} mid - reference price for slippage
+ * @returns {Object|null} { filledBase, filledQuote, avgPrice, worstPrice,
+ *   slippageBps, levelsConsumed, exceedsDepth } - slippage is always
+ *   positive when the fill is worse than mid. Null for an empty book.
+ */
+export function simulateMarketOrder(side, sortedLevels, amount, unit, mid) {
+  if (!sortedLevels.length || !(amount > 0)) return null
+
+  let remaining = amount
+  let filledBase = 0
+  let filledQuote = 0
+  let levelsConsumed = 0
+  let worstPrice = null
+
+  for (const level of sortedLevels) {
+    if (remaining <= 0) break
+
+    const available = unit === 'base' ? level.quantity : level.quantity * level.price
+    const take = Math.min(available, remaining)
+    const base = unit === 'base' ? take : take / level.price
+
+    filledBase += base
+    filledQuote += base * level.price
+    remaining -= take
+    levelsConsumed++
+    worstPrice = level.price
+  }
+
+  const avgPrice = filledQuote / filledBase
+
+  return {
+    filledBase,
+    filledQuote,
+    avgPrice,
+    worstPrice,
+    slippageBps: mid ? ((side === 'buy' ? avgPrice - mid : mid - avgPrice) / mid) * 10000 : null,
+    levelsConsumed,
+    // Float dust left over from the subtraction doesn't count
+    exceedsDepth: remaining > amount * 1e-9,
+  }
+}
+
+// Bands around mid (percent) for the imbalance metrics; depth uses the widest
+export const IMBALANCE_BANDS = [0.5, 1, 2]
+// Band (percent) whose per-side VWAPs make up the weighted mid
+const WEIGHTED_MID_BAND = 0.5
+
+/**
+ * Microstructure metrics straight from the raw book maps - two passes,
+ * no sorting, so it's cheap enough to run on every book update
+ * 
+ * - imbalance: (bid size - ask size) / (bid size + ask size) within each
+ *   band of IMBALANCE_BANDS; +1 is all bids, -1 all asks
+ * - microprice: mid leaned towards the thinner side of the touch,
+ *   (bid * askSize + ask * bidSize) / (bidSize + askSize)
+ * - weightedMid: mean of each side's VWAP within WEIGHTED_MID_BAND
+ * - bidDepth / askDepth: notional within the widest band (feed
+ *   currency). Not the whole side - how deep a feed's book goes varies
+ *   by venue, and far off-market orders would swamp it.
+ * 
+ * @returns {Object|null} null until both sides have a level
+ */
+export function bookMetrics(bidsMap, asksMap) {
+  const touch = (map, side) => {
+    let price = null
+    let size = 0
+    map.forEach((rawSize, rawPrice) => {
+      const quantity = parseFloat(rawSize)
+      if (!(quantity > 0)) return
+      const value = parseFloat(rawPrice)
+      if (price === null || (side === 'bid' ? value > price : value < price)) {
+        price = value
+        size = quantity
+      }
+    })
+    return { price, size }
+  }
+
+  const bid = touch(bidsMap, 'bid')
+  const ask = touch(asksMap, 'ask')
+  if (bid.price === null || ask.price === null) return null
+
+  const mid = (bid.price + ask.price) / 2
+
+  // Size and notional per band, per side
+  const sumBands = (map, side) => {
+    const bands = IMBALANCE_BANDS.map(() => 0)
+    let notional = 0
+    let vwapSize = 0
+    let vwapNotional = 0
+
+    map.forEach((rawSize, rawPrice) => {
+      const quantity = parseFloat(rawSize)
+      if (!(quantity > 0)) return
+      const price = parseFloat(rawPrice)
+      const distance = (side === 'bid' ? mid - price : price - mid) / mid * 100
+
+      IMBALANCE_BANDS.forEach((band, i) => {
+        if (distance <= band) bands[i] += quantity
+      })
+      if (distance <= IMBALANCE_BANDS[IMBALANCE_BANDS.length - 1]) notional += price * quantity
+      if (distance <= WEIGHTED_MID_BAND) {
+        vwapSize += quantity
+        vwapNotional += price * quantity
+      }
+    })
+
+    return { bands, notional, vwap: vwapSize ? vwapNotional / vwapSize : null }
+  }
+
+  const bids = sumBands(bidsMap, 'bid')
+  const asks = sumBands(asksMap, 'ask')
+
+  return {
+    mid,
+    microprice: (bid.price * ask.size + ask.price * bid.size) / (bid.size + ask.size),
+    weightedMid: bids.vwap !== null && asks.vwap !== null ? (bids.vwap + asks.vwap) / 2 : mid,
+    imbalance: IMBALANCE_BANDS.map((band, i) => {
+      const total = bids.bands[i] + asks.bands[i]
+      return total ? (bids.bands[i] - asks.bands[i]) / total : 0
+    }),
+    bidDepth: bids.notional,
+    askDepth: asks.notional,
+  }
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest'
+import { bookMetrics } from './orderBook'
+
+// Raw book maps, price string -> size string, as the feeds keep them
+const side = levels => new Map(levels.map(([price, size]) => [String(price), String(size)]))
+
+describe('bookMetrics', () => {
+  it('is null until both sides have a level', () => {
+    expect(bookMetrics(side([[99, 1]]), side([]))).toBeNull()
+  })
+
+  it('measures imbalance per band around mid', () => {
+    // mid 100: 99.8 is inside 0.5%, 99 inside 1%, 97 outside every band
+    const bids = side([[99.8, 3], [99, 2], [97, 50]])
+    const asks = side([[100.2, 1], [101.5, 4]])
+    const { mid, imbalance } = bookMetrics(bids, asks)
+
+    expect(mid).toBe(100)
+    expect(imbalance[0]).toBeCloseTo((3 - 1) / 4)
+    expect(imbalance[1]).toBeCloseTo((5 - 1) / 6)
+    expect(imbalance[2]).toBeCloseTo((5 - 5) / 10)
+  })
+
+  it('counts depth within the widest band only', () => {
+    const bids = side([[99.8, 1], [98.5, 2], [50, 1000]])
+    const asks = side([[100.2, 1], [103, 1000]])
+    const { bidDepth, askDepth } = bookMetrics(bids, asks)
+
+    expect(bidDepth).toBeCloseTo(99.8 + 98.5 * 2)
+    expect(askDepth).toBeCloseTo(100.2)
+  })
+
+  it('leans the microprice towards the thinner side', () => {
+    const { microprice } = bookMetrics(side([[99, 3]]), side([[101, 1]]))
+    expect(microprice).toBeCloseTo((99 * 1 + 101 * 3) / 4)
+  })
+
+  it('ignores empty levels', () => {
+    const { bidDepth, microprice } = bookMetrics(side([[99.9, 0], [99, 1]]), side([[101, 1]]))
+    expect(bidDepth).toBeCloseTo(99)
+    expect(microprice).toBe(100)
+  })
+})
@@ -0,0 +1,156 @@
+/**
+ * Portfolio math and CSV for position lots
+ *
+ * A lot is { id, base, quote, quantity, price, date, note } - price is
+ * the cost per unit in `quote` and may be null for holdings entered
+ * without a cost basis (they count towards value, not P&L).
+ */
+
+/**
+ * Position totals at the current price
+ *
+ * @returns {Object} { quantity, marketValue, costBasis, averageEntry,
+ *   unrealizedPnl, unrealizedPnlPercent, change24h } - cost figures are
+ *   null when no lot has a cost basis
+ */
+export function summarizePosition(lots, price, open24h) {
+  const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0)
+  const costed = lots.filter(lot => lot.price !== null)
+  const costQuantity = costed.reduce((sum, lot) => sum + lot.quantity, 0)
+  const costBasis = costed.reduce((sum, lot) => sum + lot.quantity * lot.price, 0)
+
+  const hasCost = costQuantity > 0
+  const hasPrice = price !== null && price !== undefined
+  const costedValue = hasPrice ? costQuantity * price : null
+  const unrealizedPnl = hasCost && hasPrice ? costedValue - costBasis : null
+
+  return {
+    quantity,
+    marketValue: hasPrice ? quantity * price : null,
+    costBasis: hasCost ? costBasis : null,
+    averageEntry: hasCost ? costBasis / costQuantity : null,
+    unrealizedPnl,
+    unrealizedPnlPercent: unrealizedPnl !== null && costBasis > 0 ? (unrealizedPnl / costBasis) * 100 : null,
+    // Assumes the whole position was held over the last 24h
+    change24h: hasPrice && open24h ? quantity * (price - open24h) : null,
+  }
+}
+
+/**
+ * Unrealized P&L of a single lot
+ *
+ * A zero cost (an airdrop, a gift) has P&L but no percentage - as for
+ * the whole position, there's no basis to divide by.
+ */
+export function lotPnl(lot, price) {
+  if (lot.price === null || price === null || price === undefined) return { pnl: null, pnlPercent: null }
+
+  const pnl = lot.quantity * (price - lot.price)
+  return { pnl, pnlPercent: lot.price > 0 ? ((price - lot.price) / lot.price) * 100 : null }
+}
+
+const CSV_COLUMNS = ['asset', 'quote', 'quantity', 'price', 'date', 'note']
+
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function lotsToCSV(lots) {
+  const rows = lots.map(lot => [lot.base, lot.quote, lot.quantity, lot.price, lot.date, lot.note]
+    .map(escapeCSV)
+    .join(','))
+  return [CSV_COLUMNS.join(','), ...rows].join('\n')
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields, "" escapes, CRLF)
+ */
+function parseRows(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()))
+}
+
+/**
+ * Parse lots from CSV (header row required, columns as lotsToCSV)
+ *
+ * @returns {Object} { lots, errors } - lots without ids; errors name the
+ *   line and what was wrong with it, bad rows are skipped
+ */
+export function parseLotsCSV(text) {
+  const [header, ...rows] = parseRows(text)
+  if (!header) return { lots: [], errors: ['File is empty'] }
+
+  const columns = header.map(name => name.trim().toLowerCase())
+  const missing = ['asset', 'quantity'].filter(name => !columns.includes(name))
+  if (missing.length) return { lots: [], errors: [`Missing column: ${missing.join(', ')}`] }
+
+  const lots = []
+  const errors = []
+
+  rows.forEach((fields, i) => {
+    const get = name => fields[columns.indexOf(name)]?.trim() ?? ''
+    const line = i + 2
+    const quantity = parseFloat(get('quantity'))
+    const price = get('price') === '' ? null : parseFloat(get('price'))
+    const date = get('date') || null
+
+    if (!get('asset')) {
+      errors.push(`Line ${line}: missing asset`)
+    } else if (!(quantity > 0)) {
+      errors.push(`Line ${line}: invalid quantity`)
+    } else if (price !== null && !(price >= 0)) {
+      errors.push(`Line ${line}: invalid price`)
+    } else if (date && Number.isNaN(Date.parse(date))) {
+      errors.push(`Line ${line}: invalid date`)
+    } else {
+      lots.push({
+        base: get('asset').toUpperCase(),
+        quote: (get('quote') || 'USD').toUpperCase(),
+        quantity,
+        price,
+        date,
+        note: get('note'),
+      })
+    }
+  })
+
+  return { lots, errors }
+}
@@ -0,0 +1,27 @@
+/**
+ * localStorage helpers
+ *
+ * Keys are namespaced under 'ethticker:'. Storage can be unavailable
+ * (private mode, quota, disabled cookies) or hold something unparseable
+ * from an older version - both just fall back to the default.
+ */
+
+const PREFIX = 'ethticker:'
+
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key)
+    return raw === null ? fallback : JSON.parse(raw)
+  } catch (err) {
+    console.error(`Failed to load ${key}:`, err)
+    return fallback
+  }
+}
+
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value))
+  } catch (err) {
+    console.error(`Failed to save ${key}:`, err)
+  }
+}
@@ -0,0 +1,64 @@
+import { now as marketNow } from './clock'
+
+/**
+ * Trade tape helpers
+ *
+ * Trades are the normalized { id, price, size, side, time } events from
+ * providers (see providers/normalize.js), newest first.
+ */
+
+/**
+ * Merge freshly received trades into the tape
+ *
+ * Drops repeats (a reconnect replays the last match), keeps newest first,
+ * and trims to `maxTrades` and to trades newer than `maxAge` ms.
+ */
+export function appendTrades(tape, incoming, { maxTrades, maxAge, now = marketNow() }) {
+  const seen = new Set(tape.map(trade => trade.id))
+  const fresh = incoming
+    .filter(trade => !seen.has(trade.id) && seen.add(trade.id))
+    .sort((a, b) => b.time - a.time)
+
+  const cutoff = now - maxAge
+  return fresh
+    .concat(tape)
+    .filter(trade => trade.time >= cutoff)
+    .slice(0, maxTrades)
+}
+
+/**
+ * Taker buy vs sell flow over the last `windowMs`
+ *
+ * @returns {Object} { buySize, sellSize, buyNotional, sellNotional,
+ *   buyCount, sellCount, buyShare } - buyShare is the buy fraction of
+ *   notional (0-1), null when nothing traded in the window
+ */
+export function summarizePressure(trades, windowMs, now = marketNow()) {
+  const summary = {
+    buySize: 0,
+    sellSize: 0,
+    buyNotional: 0,
+    sellNotional: 0,
+    buyCount: 0,
+    sellCount: 0,
+  }
+  const cutoff = now - windowMs
+
+  for (const trade of trades) {
+    if (trade.time < cutoff) break
+
+    const notional = trade.price * trade.size
+    if (trade.side === 'buy') {
+      summary.buySize += trade.size
+      summary.buyNotional += notional
+      summary.buyCount++
+    } else {
+      summary.sellSize += trade.size
+      summary.sellNotional += notional
+      summary.sellCount++
+    }
+  }
+
+  const total = summary.buyNotional + summary.sellNotional
+  return { ...summary, buyShare: total > 0 ? summary.buyNotional / total : null }
+}